@@ -33,12 +33,21 @@
   const Settings = {
     enableHandymen: true,
     enableMechanics: true,
+    watchMode: false, // re-plan affected zones automatically when paths/rides change
 
     // Handymen presets
     zonePreset: "Balanced Patrols", // "Tight Patrols" | "Balanced Patrols" | "Wide Patrols"
     tilesPerHandyman: 180,          // updated when preset changes
+    zoneBalanceTolerance: 10,       // % a zone's load may exceed the average
     allowDeadEndRescue: true,
     includeFacilitiesCuldesacs: false, // keep shops/toilets cul-de-sacs
+    weightByMess: false,   // balance zones on litter/vomit workload instead of raw tiles
+    messSampleDays: 7,     // rolling window of daily litter samples
+    messUnitsPerItem: 5,   // workload units per average daily item on a tile
+    useTraffic: true,           // seed zones at traffic hubs and size them by heatmap (once sampled)
+    trafficSampleTicks: 400,    // ticks between guest position samples
+    trafficWindow: 200,         // samples in the rolling heatmap (older ones fade out)
+    trafficUnitsPerGuest: 4,    // workload units per average guest on a tile
 
     // Food Court coverage
     enableFoodCourts: true,
@@ -54,14 +63,48 @@
     mechMaxExits: 4,
     mechMstCap: 180,
     mechDiameterCap: 120,
+    mechRiskCap: 8,        // total expected breakdown load per mechanic (a new, reliable ride is ~1)
     mechAvoidPlazas: true,
     mechSmallRedundancy: false,
 
+    // Security guards
+    enableGuards: false,
+    guardLoadPerGuard: 40,  // hotspot workload units per guard
+    guardGuestRadius: 3,    // tiles around a hotspot counted for guest density
+    guardReach: 6,          // path distance a guard zone extends around its hotspots
+
+    // Entertainers
+    enableEntertainers: false,
+    entertainerMinQueue: 8,            // queue tiles before a line is worth covering
+    entertainerQueueTilesPerStaff: 24, // staffing ratio: one entertainer per this many queue tiles
+    entertainerPlazaRadius: 3,         // path steps around the queue start added to the patrol
+    entertainerCostume: "Keep current",
+
     // Staff handling
-    staffInsufficient: "Auto-hire", // "Auto-hire" | "Assign only existing" | "Stretch zones"
+    staffInsufficient: "Auto-hire", // "Auto-hire" | "Assign only existing" | "Stretch zones" | "Hire within budget"
+    budgetKind: "Monthly wages",    // "Monthly wages": cap on the whole wage bill | "Cash reserve": cash to keep after a month of new wages
+    budgetLimit: 2000,
+    surplusStaff: "Leave alone",    // "Leave alone" | "Fire" | "Floaters" | "Split biggest zones"
+
+    // Staff orders set on Apply (bit flags, see Staff orders)
+    ordersGeneral: 15,   // sweep, water, bins, mow (the game's default)
+    ordersFoodCourt: 5,  // sweep, bins
+    ordersGarden: 10,    // water, mow
+    ordersMechanic: 3,   // inspect, fix
+    gardenZoneShare: 25, // % of a zone's paths next to planted scenery that makes it a garden zone
+
+    // Gardens (flowerbeds and lawns next to paths)
+    gardenMode: "In zones",      // "In zones": the zones around a garden tend it | "Dedicated gardeners"
+    gardenTilesPerGardener: 60,  // planted tiles per dedicated gardener
+    gardenLargeTiles: 12,        // planted tiles from which a garden nobody waters is warned about
     spawnNewInsideZone: true,
     moveExistingToZone: true,
-    lockAssignments: false
+    lockAssignments: false,
+
+    // Staff identity set on Apply (see Staff identity)
+    renameStaff: false,
+    staffNamePattern: "{role} – {zoneName}",
+    staffColours: "Keep current" // "Keep current" | "Per role" | "Per zone"
   };
 
   // Preset tables
@@ -75,11 +118,11 @@
   function setMechPreset(name) {
     Settings.mechPreset = name;
     if (name === "Compact Routes") {
-      Settings.mechMaxExits = 3; Settings.mechMstCap = 120; Settings.mechDiameterCap = 100;
+      Settings.mechMaxExits = 3; Settings.mechMstCap = 120; Settings.mechDiameterCap = 100; Settings.mechRiskCap = 6;
     } else if (name === "Standard Routes") {
-      Settings.mechMaxExits = 4; Settings.mechMstCap = 180; Settings.mechDiameterCap = 120;
+      Settings.mechMaxExits = 4; Settings.mechMstCap = 180; Settings.mechDiameterCap = 120; Settings.mechRiskCap = 8;
     } else {
-      Settings.mechMaxExits = 5; Settings.mechMstCap = 200; Settings.mechDiameterCap = 140;
+      Settings.mechMaxExits = 5; Settings.mechMstCap = 200; Settings.mechDiameterCap = 140; Settings.mechRiskCap = 10;
     }
   }
 
@@ -87,49 +130,145 @@
   setHandymanPreset(Settings.zonePreset);
   setMechPreset(Settings.mechPreset);
 
+  // -----------------------------
+  // Settings persistence
+  // -----------------------------
+  // Park storage holds the values tuned for this save; shared storage holds a global default
+  // used by parks that have never saved their own. Both are wrapped as {schema, values}.
+  const SETTINGS_SCHEMA = 1;
+  const STORAGE_KEY = "AutoPatrolManager";
+  const DEFAULT_SETTINGS = JSON.parse(JSON.stringify(Settings));
+
+  function parkStore(){ return safe(()=>context.getParkStorage(), null); }
+  function sharedStore(){ return safe(()=>context.sharedStorage, null); }
+
+  function readStored(store, name){
+    if (!store) return undefined;
+    return safe(()=>store.get(STORAGE_KEY + "." + name), undefined);
+  }
+
+  function writeStored(store, name, value){
+    if (!store) return false;
+    try { store.set(STORAGE_KEY + "." + name, value); return true; } catch { return false; }
+  }
+
+  // Upgrade steps keyed by the schema they upgrade *from*; add one whenever SETTINGS_SCHEMA is bumped
+  const SETTINGS_MIGRATIONS = {};
+
+  // Bring a stored settings record up to SETTINGS_SCHEMA; returns plain values or null
+  function migrateSettings(record){
+    if (!record || typeof record !== "object" || typeof record.schema !== "number") return null;
+    if (record.schema > SETTINGS_SCHEMA) return null; // written by a newer plugin; don't guess
+    let schema = record.schema;
+    let values = record.values;
+    while (schema < SETTINGS_SCHEMA){
+      const step = SETTINGS_MIGRATIONS[schema];
+      if (!step) return null;
+      values = step(values);
+      schema++;
+    }
+    return (values && typeof values === "object") ? values : null;
+  }
+
+  // Copy known keys only, and only when the stored type matches the default
+  function assignSettings(values){
+    for (const k in DEFAULT_SETTINGS){
+      if (values && typeof values[k] === typeof DEFAULT_SETTINGS[k]) Settings[k] = values[k];
+      else Settings[k] = DEFAULT_SETTINGS[k];
+    }
+  }
+
+  // Load order: park-saved values, else global default, else built-in defaults
+  function loadSettings(){
+    const fromPark = migrateSettings(readStored(parkStore(), "settings"));
+    if (fromPark){ assignSettings(fromPark); return "park"; }
+    const fromGlobal = migrateSettings(readStored(sharedStore(), "settings"));
+    if (fromGlobal){ assignSettings(fromGlobal); return "global"; }
+    assignSettings(DEFAULT_SETTINGS);
+    return "defaults";
+  }
+
+  function settingsRecord(){
+    return { schema: SETTINGS_SCHEMA, values: JSON.parse(JSON.stringify(Settings)) };
+  }
+
+  function saveSettingsToPark(){ return writeStored(parkStore(), "settings", settingsRecord()); }
+  function saveSettingsAsGlobal(){ return writeStored(sharedStore(), "settings", settingsRecord()); }
+
   // ---------------------------------
   // Internal planning state (preview)
   // ---------------------------------
   const Plan = {
     built: false,
-    warnings: [],
+    name: null,       // name of the saved plan this came from (null = unsaved)
+    weighted: false,  // handyman zones were balanced on mess-weighted workload
+    stale: false,     // map changed since the plan was built (watch mode off)
+    applied: false,   // Apply has run for this plan; watch mode re-applies changed zones
+    warnings: [],     // [{severity, text, at, tiles, target}] (see Warnings)
     kpis: {
       validPathTiles: 0,
       coveredTiles: 0,
       handymanAvgTiles: 0,
       handymanMaxTiles: 0,
+      handymanAvgLoad: 0,
+      handymanMaxLoad: 0,
+      zoneBalance: 0,     // % the heaviest handyman zone is above the average
+      zoneBorders: 0,     // path links crossing a zone border
+      zoneCompactness: 0, // % of zone links that stay inside one zone
       mechClusters: 0,
       mechAvgExits: 0,
       mechLongestRoute: 0,
-      foodCourts: 0
+      foodCourts: 0,
+      guardZones: 0,
+      guardHotspots: 0,
+      guardBroken: 0,
+      entertainers: 0,
+      queuesCovered: 0,
+      longestQueue: 0,
+      gardenPlanted: 0,   // planted tiles next to valid paths
+      gardenWatered: 0,   // ...of which next to a zone whose handyman waters
+      gardenGrass: 0,     // lawn tiles next to valid paths
+      gardenMowed: 0,     // ...of which next to a zone whose handyman mows
+      staffBudget: null   // staffBudget(): monthly wages before/after Apply, hires, fired, unstaffed, surplus
     },
     // Graph
     width: 0,
     height: 0,
-    nodes: [],        // [{id,x,y,deg,attractor,component,valid:boolean}]
-    idByXY: new Map(),// key "x,y" -> id
+    nodes: [],        // [{id,x,y,deg,attractor,breakable,broken,queue,queueRide,component,valid:boolean,removed?:boolean}]
+    idByXY: new Map(),// key "x,y" -> lowest node on the tile (tile-level lookups)
+    idsByXY: new Map(),// key "x,y" -> [id] for every path level on the tile
     edges: [],        // adjacency list
     validNodeIds: new Set(), // pruned valid nodes (not queues, not scenery-only)
+    queueNodeIds: new Set(), // queue line tiles (separate layer, never zoned)
     attractorNodeIds: new Set(), // entrances/exits (+facilities when enabled)
     // Food courts
     foodCourts: [],   // [{tiles:Set<nodeId>, center:{x,y}, name, staffNeeded}]
     reservedFoodTiles: new Set(), // all court tiles
     // Handymen
-    handymanZones: [], // [{tiles:Set<nodeId>, centroid, name, staffIndex?:number}]
+    handymanZones: [], // [{tiles:Set<nodeId>, centroid, name, kind:"general"|"foodCourt"|"garden", garden?:boolean, staffId?:number}]
+    // Gardens
+    gardens: [],      // [{name, tiles:[{x,y}], reach:Set<nodeId>, centre:{x,y}}] flowerbeds (planted tiles joined 8-way)
+    gardenTiles: [],  // [{x, y, kind:"planted"|"grass", reach:Set<nodeId>}] garden tiles next to valid paths
     // Mechanics
-    mechExits: [],    // [{nodeId, x, y, rideId, rideName}]
-    mechClusters: [], // [{exits:[index], tiles:Set<nodeId>, routes:[{from,to, pathIds:number[]}] }]
+    mechExits: [],    // [{nodeId, x, y, rideId, rideName, risk}]
+    mechClusters: [], // [{exits:[index], tiles:Set<nodeId>, routes:[{from,to, pathIds:number[]}], risk, orders?:number, name?:string, staffId?:number }]
+    // Security guards
+    guardZones: [],   // [{tiles:Set<nodeId>, centroid, name, kind:"guard", hotspots, load, staffId?:number}]
+    guardHotspots: [], // [{nodeId, weight, broken}]
+    // Entertainers
+    queueLines: [],   // [{tiles:Set<nodeId>, starts:nodeId[], rideId, rideName, length, guests, queueTime}]
+    entertainerPatrols: [], // [{tiles:Set<nodeId>, centroid, name, kind:"entertainer", rides:string[], queueTiles, guests, staffId?:number}]
     // Staff mapping (plan)
     staff: {
-      handymen: [], // [{id?, name?, zoneIndex, tilesCount, spawn:{x,y}}]
-      mechanics: [] // [{id?, name?, clusterIndex, exitsCount, spawn:{x,y}}]
-    }
+      handymen: [], // [{id?, name?, zoneIndex, tilesCount, spawn:{x,y}, inside?, distance?, applied?}] (no id = to hire)
+      mechanics: [] // [{id?, name?, clusterIndex, exitsCount, spawn:{x,y}, inside?, distance?, applied?}] (applied: set by Apply)
+    },
+    budgetShort: {}   // role -> staff the budget couldn't pay for while planning ("Hire within budget")
   };
 
   // Utilities
   function key(x,y){ return x + "," + y; }
   function clamp(v,lo,hi){ return Math.max(lo, Math.min(hi, v)); }
-  function randint(min,max){ return (Math.random()*(max-min+1)+min)|0; }
   function pushUnique(arr,v){ if (arr.indexOf(v) < 0) arr.push(v); }
   function safe(fn, fallback) { try { return fn(); } catch { return fallback; } }
   function viewportPanTo(x,y,z){
@@ -139,9 +278,16 @@
     } catch {}
   }
 
+  // "staffhire" takes the role as an index and the orders new staff start with (the game's defaults)
+  const STAFF_TYPES = ["handyman", "mechanic", "security", "entertainer"];
+  const HIRE_ORDERS = { handyman: 7, mechanic: 3 }; // sweep, water, empty bins / inspect, fix
+  function hireArgs(role){
+    return { autoPosition: true, staffType: STAFF_TYPES.indexOf(role), costumeIndex: 0, staffOrders: HIRE_ORDERS[role] || 0 };
+  }
+
   // API feature detection (best effort)
   const Api = {
-    canHireStaff: !!safe(()=>context.queryAction("hire_staff"), null),
+    canHireStaff: safe(()=>{ context.queryAction("staffhire", hireArgs("handyman"), ()=>{}); return true; }, false), // throws for unknown actions
     canSetPatrol: true, // optimistic; we will guard writes anyway
     canMoveStaff: true, // will be guarded by try/catch with fallback
   };
@@ -157,304 +303,897 @@
     targetApiVersion: META.targetApiVersion,
     license: "MIT",
     main() {
+      loadSettings();
       if (typeof ui !== "undefined" && ui && ui.registerMenuItem) {
         ui.registerMenuItem(META.name, openWindow);
       }
+      safe(()=>context.subscribe("action.execute", onActionExecuted), null);
+      safe(()=>context.subscribe("interval.day", onDay), null);
+      safe(()=>context.subscribe("map.save", flushTraffic), null); // newer builds only; daily writes cover the rest
+      safe(()=>context.subscribe("map.changed", ()=>{ onReset(); loadSettings(); Mess.days = null; resumeTraffic(); }), null);
+      resumeTraffic();
     }
   });
 
   // -----------------------------
   // UI
   // -----------------------------
+  // Base-game tab sprites
+  const TAB_IMAGES = { settings: 5201, roles: 5205, data: 5229, plans: 5277, overlay: 5245, staff: 5568 };
+
+  // Widgets are rebuilt from their descriptors on tab change, so keep what we showed last
+  const UiState = {
+    labels: {},        // widget name -> text
+    warnings: [],
+    selectedPlan: null, // name of the highlighted saved plan
+    staffIds: [],      // staff id per row of the Staff tab list
+    orderRoutes: [-1], // cluster index per entry of the mechanic orders dropdown (-1 = default)
+    orderRoute: 0      // selected entry
+  };
+
   function openWindow(){
-    const w = ui.openWindow({
+    const existing = ui.getWindow("auto-patrol-manager");
+    if (existing){ existing.bringToFront(); return; }
+    const source = loadSettings();
+
+    ui.openWindow({
       classification: "auto-patrol-manager",
       title: META.name,
       width: 560,
-      height: 420,
+      height: 462,
       colours: [24,24],
+      tabs: [
+        { image: TAB_IMAGES.settings, widgets: settingsTabWidgets() },
+        { image: TAB_IMAGES.roles, widgets: rolesTabWidgets() },
+        { image: TAB_IMAGES.data, widgets: dataTabWidgets() },
+        { image: TAB_IMAGES.plans, widgets: plansTabWidgets() },
+        { image: TAB_IMAGES.overlay, widgets: overlayTabWidgets() },
+        { image: TAB_IMAGES.staff, widgets: staffTabWidgets() }
+      ],
       widgets: [
-        // Top buttons
-        button("btnPreview", 10, 10, 100, 16, "Preview", onPreview),
-        button("btnApply",   120,10, 100, 16, "Apply", onApply),
-        button("btnRebuild", 230,10, 110, 16, "Re-Optimise", onPreview),
-        button("btnReset",   350,10, 80, 16, "Reset", onReset),
-
-        // Left column - options
-        label(10, 36, "General"),
-        checkbox("chkHandy", 10, 52, 170, "Enable Handyman Patrols", Settings.enableHandymen, v=>Settings.enableHandymen=v),
-        checkbox("chkMech",  10, 70, 170, "Enable Mechanic Patrols", Settings.enableMechanics, v=>Settings.enableMechanics=v),
-
-        // Handymen section
-        line(10, 92, 260),
-        label(10, 98, "Handyman Zoning"),
-        dropdown("ddZone", 10, 116, 170, ["Tight Patrols","Balanced Patrols","Wide Patrols"], i=>{
-          const names = ["Tight Patrols","Balanced Patrols","Wide Patrols"];
-          setHandymanPreset(names[i]);
-          refreshWindow();
-        }),
-        label(190, 118, "Tiles per cleaner"),
-        spinner("spTiles", 290, 116, Settings.tilesPerHandyman, v=>{
-          Settings.tilesPerHandyman = clamp(v, 80, 400);
-        }),
-        checkbox("chkRescue", 10, 138, 260, "Allow overlaps to rescue cul-de-sacs", Settings.allowDeadEndRescue, v=>Settings.allowDeadEndRescue=v),
-        checkbox("chkFac", 10, 156, 260, "Keep shops/toilets cul-de-sacs", Settings.includeFacilitiesCuldesacs, v=>Settings.includeFacilitiesCuldesacs=v),
-
-        // Food court section
-        line(10, 178, 260),
-        label(10, 184, "Food Court Coverage"),
-        checkbox("chkFC", 10, 202, 160, "Detect Food Courts", Settings.enableFoodCourts, v=>Settings.enableFoodCourts=v),
-        label(10, 220, "Stall threshold"),
-        spinner("spFct", 120, 218, Settings.foodCourtStallThreshold, v=>Settings.foodCourtStallThreshold=clamp(v,1,10)),
-        label(10, 238, "Detection radius"),
-        spinner("spFcr", 120, 236, Settings.foodCourtRadius, v=>Settings.foodCourtRadius=clamp(v,3,20)),
-        checkbox("chkFcb", 10, 256, 240, "Include seating/bins in detection", Settings.foodCourtIncludeSeatingBins, v=>Settings.foodCourtIncludeSeatingBins=v),
-        label(10, 274, "Tiles per court cleaner"),
-        spinner("spFctc", 170, 272, Settings.foodCourtTilesPerCleaner, v=>Settings.foodCourtTilesPerCleaner=clamp(v,60,240)),
-        label(10, 292, "Max court size"),
-        spinner("spFcms", 170, 290, Settings.foodCourtMaxTiles, v=>Settings.foodCourtMaxTiles=clamp(v,60,500)),
-        label(10, 312, "If staff are insufficient"),
-        dropdown("ddFcs", 10, 328, 240, ["Auto-hire","Assign only existing","Fold into general"], i=>{
-          Settings.foodCourtStaffInsufficient = ["Auto-hire","Assign only existing","Fold into general"][i];
-        }),
+        // Top buttons (every tab)
+        button("btnPreview", 10, 48, 100, 16, "Preview", onPreview),
+        button("btnApply",   120,48, 100, 16, "Apply", onApply),
+        button("btnRebuild", 230,48, 110, 16, "Re-Optimise", onPreview),
+        button("btnReset",   350,48, 80, 16, "Reset", openResetWindow),
+        label("lblStale", 440, 50, UiState.labels.lblStale || ""),
+        button("btnCancel",  350,48, 80, 16, "Cancel", cancelPlanning), // stands in for Reset while planning
 
-        // Mechanics section
-        line(290, 92, 260),
-        label(290, 98, "Mechanic Routing"),
-        dropdown("ddMech", 290, 116, 170, ["Compact Routes","Standard Routes","Extended Routes"], i=>{
-          const names = ["Compact Routes","Standard Routes","Extended Routes"];
-          setMechPreset(names[i]); refreshWindow();
-        }),
-        label(470, 118, "Max exits"),
-        spinner("spMx", 530, 116, Settings.mechMaxExits, v=>Settings.mechMaxExits=clamp(v,1,10)),
-        label(290, 136, "MST cap"),
-        spinner("spMst", 350, 134, Settings.mechMstCap, v=>Settings.mechMstCap=clamp(v,40,400)),
-        label(410, 136, "Diameter cap"),
-        spinner("spDia", 500, 134, Settings.mechDiameterCap, v=>Settings.mechDiameterCap=clamp(v,40,400)),
-        checkbox("chkPlz", 290, 156, 240, "Avoid plazas", Settings.mechAvoidPlazas, v=>Settings.mechAvoidPlazas=v),
-        checkbox("chkRed", 290, 174, 240, "Allow small redundancy", Settings.mechSmallRedundancy, v=>Settings.mechSmallRedundancy=v),
-
-        // Staff handling
-        line(290, 196, 260),
-        label(290, 202, "Staff Handling"),
-        label(290, 220, "If staff are insufficient"),
-        dropdown("ddSi", 290, 236, 240, ["Auto-hire","Assign only existing","Stretch zones"], i=>{
-          Settings.staffInsufficient = ["Auto-hire","Assign only existing","Stretch zones"][i];
-        }),
-        checkbox("chkSpawn", 290, 256, 260, "Spawn new staff inside their zone", Settings.spawnNewInsideZone, v=>Settings.spawnNewInsideZone=v),
-        checkbox("chkMove", 290, 274, 260, "Move existing staff to their zone", Settings.moveExistingToZone, v=>Settings.moveExistingToZone=v),
-        checkbox("chkLock", 290, 292, 260, "Lock staff to current assignment", Settings.lockAssignments, v=>Settings.lockAssignments=v),
-
-        // Right column bottom - KPIs + warnings
-        line(10, 352, 540),
-        label("lblKpi", 10, 360, "Status: click Preview to build a plan"),
-        list("lstWarn", 10, 378, 540, 32, []),
+        // Bottom - KPIs + warnings (every tab)
+        line(10, 392, 540),
+        label("lblKpi", 10, 400, UiState.labels.lblKpi || "Status: click Preview to build a plan"),
+        Object.assign(table("lstWarn", 10, 416, 540, 40, [["",50],["",480]], onWarningClick), { showColumnHeaders: false }),
       ],
-      onClose: ()=>{}
+      onTabChange: ()=>refreshWindow(),
+      onClose: ()=>{ saveSettingsToPark(); flushTraffic(); clearOverlay(); ui.closeWindows("auto-patrol-manager-reset"); ui.closeWindows("auto-patrol-manager-confirm"); ui.closeWindows("auto-patrol-manager-undo"); ui.closeWindows("auto-patrol-manager-minimap"); ui.closeWindows("auto-patrol-manager-details"); }
     });
 
-    // Set dropdown defaults
-    getW("ddZone").selectedIndex = ["Tight Patrols","Balanced Patrols","Wide Patrols"].indexOf(Settings.zonePreset);
-    getW("ddMech").selectedIndex = ["Compact Routes","Standard Routes","Extended Routes"].indexOf(Settings.mechPreset);
-    getW("ddFcs").selectedIndex = ["Auto-hire","Assign only existing","Fold into general"].indexOf(Settings.foodCourtStaffInsufficient);
-    getW("ddSi").selectedIndex = ["Auto-hire","Assign only existing","Stretch zones"].indexOf(Settings.staffInsufficient);
+    refreshWindow();
+    if (source !== "park") setLabel("lblKpi", `Status: using ${source === "global" ? "global default" : "built-in default"} settings. Click Preview to build a plan`);
+  }
+
+  // Settings tab: every planner option
+  function settingsTabWidgets(){
+    return [
+      // Left column - options
+      label(10, 76, "General"),
+      checkbox("chkHandy", 10, 92, 170, "Enable Handyman Patrols", Settings.enableHandymen, v=>Settings.enableHandymen=v),
+      checkbox("chkMech",  10, 110, 170, "Enable Mechanic Patrols", Settings.enableMechanics, v=>Settings.enableMechanics=v),
+      checkbox("chkWatch", 290, 92, 260, "Watch map changes (re-plan affected zones)", Settings.watchMode, v=>{
+        Settings.watchMode=v;
+        if (v) replanIncremental();
+      }),
+
+      // Handymen section
+      line(10, 132, 260),
+      label(10, 138, "Handyman Zoning"),
+      dropdown("ddZone", 10, 156, 120, ["Tight Patrols","Balanced Patrols","Wide Patrols"], i=>{
+        const names = ["Tight Patrols","Balanced Patrols","Wide Patrols"];
+        setHandymanPreset(names[i]);
+        refreshWindow();
+      }),
+      label("lblTilesPer", 136, 158, workloadWeighted() ? "Load per cleaner" : "Tiles per cleaner", 84),
+      spinner("spTiles", 220, 156, Settings.tilesPerHandyman, v=>{
+        Settings.tilesPerHandyman = clamp(v, 80, 400);
+      }),
+      label(10, 176, "Balance tolerance (%)"),
+      spinner("spBalance", 220, 174, Settings.zoneBalanceTolerance, v=>Settings.zoneBalanceTolerance=clamp(v,2,50)),
+      checkbox("chkRescue", 10, 194, 260, "Allow overlaps to rescue cul-de-sacs", Settings.allowDeadEndRescue, v=>Settings.allowDeadEndRescue=v),
+      checkbox("chkFac", 10, 212, 260, "Keep shops/toilets cul-de-sacs", Settings.includeFacilitiesCuldesacs, v=>Settings.includeFacilitiesCuldesacs=v),
+
+      // Food court section
+      line(10, 230, 260),
+      label(10, 236, "Food Court Coverage"),
+      checkbox("chkFC", 10, 254, 160, "Detect Food Courts", Settings.enableFoodCourts, v=>Settings.enableFoodCourts=v),
+      label(10, 272, "Stalls"),
+      spinner("spFct", 60, 270, Settings.foodCourtStallThreshold, v=>Settings.foodCourtStallThreshold=clamp(v,1,10)),
+      label(130, 272, "Radius"),
+      spinner("spFcr", 180, 270, Settings.foodCourtRadius, v=>Settings.foodCourtRadius=clamp(v,3,20)),
+      checkbox("chkFcb", 10, 290, 240, "Include seating/bins in detection", Settings.foodCourtIncludeSeatingBins, v=>Settings.foodCourtIncludeSeatingBins=v),
+      label(10, 308, "Tiles per court cleaner"),
+      spinner("spFctc", 170, 306, Settings.foodCourtTilesPerCleaner, v=>Settings.foodCourtTilesPerCleaner=clamp(v,60,240)),
+      label(10, 326, "Max court size"),
+      spinner("spFcms", 170, 324, Settings.foodCourtMaxTiles, v=>Settings.foodCourtMaxTiles=clamp(v,60,500)),
+      label(10, 346, "If staff are insufficient"),
+      dropdown("ddFcs", 10, 362, 240, ["Auto-hire","Assign only existing","Fold into general"], i=>{
+        Settings.foodCourtStaffInsufficient = ["Auto-hire","Assign only existing","Fold into general"][i];
+      }),
+
+      // Mechanics section
+      line(290, 132, 260),
+      label(290, 138, "Mechanic Routing"),
+      dropdown("ddMech", 290, 156, 170, ["Compact Routes","Standard Routes","Extended Routes"], i=>{
+        const names = ["Compact Routes","Standard Routes","Extended Routes"];
+        setMechPreset(names[i]); refreshWindow();
+      }),
+      label(470, 158, "Max exits"),
+      spinner("spMx", 530, 156, Settings.mechMaxExits, v=>Settings.mechMaxExits=clamp(v,1,10)),
+      label(290, 176, "MST cap"),
+      spinner("spMst", 350, 174, Settings.mechMstCap, v=>Settings.mechMstCap=clamp(v,40,400)),
+      label(410, 176, "Diameter cap"),
+      spinner("spDia", 500, 174, Settings.mechDiameterCap, v=>Settings.mechDiameterCap=clamp(v,40,400)),
+      checkbox("chkPlz", 290, 196, 240, "Avoid plazas", Settings.mechAvoidPlazas, v=>Settings.mechAvoidPlazas=v),
+      checkbox("chkRed", 290, 214, 240, "Allow small redundancy", Settings.mechSmallRedundancy, v=>Settings.mechSmallRedundancy=v),
+      label(290, 232, "Breakdown risk cap"),
+      spinner("spRisk", 410, 230, Settings.mechRiskCap, v=>Settings.mechRiskCap=clamp(v,2,30)),
+
+      // Staff handling
+      line(290, 254, 260),
+      label(290, 260, "Staff Handling"),
+      label(290, 278, "If staff are insufficient"),
+      dropdown("ddSi", 290, 294, 240, ["Auto-hire","Assign only existing","Stretch zones","Hire within budget"], i=>{
+        Settings.staffInsufficient = ["Auto-hire","Assign only existing","Stretch zones","Hire within budget"][i];
+      }),
+      checkbox("chkSpawn", 290, 314, 260, "Spawn new staff inside their zone", Settings.spawnNewInsideZone, v=>Settings.spawnNewInsideZone=v),
+      checkbox("chkMove", 290, 332, 260, "Move existing staff to their zone", Settings.moveExistingToZone, v=>Settings.moveExistingToZone=v),
+      checkbox("chkLock", 290, 350, 260, "Lock staff to current assignment", Settings.lockAssignments, v=>Settings.lockAssignments=v),
+    ];
+  }
+
+  // Roles tab: staff roles beyond handymen and mechanics
+  function rolesTabWidgets(){
+    return [
+      label(10, 76, "Security Guards"),
+      checkbox("chkGuards", 10, 94, 260, "Plan guard patrols around vandalism hotspots", Settings.enableGuards, v=>Settings.enableGuards=v),
+      label(10, 114, "Load per guard"),
+      spinner("spGuardLoad", 170, 112, Settings.guardLoadPerGuard, v=>Settings.guardLoadPerGuard=clamp(v,5,200)),
+      label(10, 132, "Guest radius (tiles)"),
+      spinner("spGuardRad", 170, 130, Settings.guardGuestRadius, v=>Settings.guardGuestRadius=clamp(v,1,8)),
+      label(10, 150, "Zone reach (tiles)"),
+      spinner("spGuardReach", 170, 148, Settings.guardReach, v=>Settings.guardReach=clamp(v,2,20)),
+      label(10, 168, "Hotspots: benches, lamps and bins;", 270),
+      label(10, 181, "broken ones count double.", 270),
+
+      // Entertainers
+      label(290, 76, "Entertainers"),
+      checkbox("chkEnt", 290, 94, 260, "Plan entertainers at long queues", Settings.enableEntertainers, v=>Settings.enableEntertainers=v),
+      label(290, 114, "Min queue length (tiles)"),
+      spinner("spEntMin", 480, 112, Settings.entertainerMinQueue, v=>Settings.entertainerMinQueue=clamp(v,2,100)),
+      label(290, 132, "Queue tiles per entertainer"),
+      spinner("spEntRatio", 480, 130, Settings.entertainerQueueTilesPerStaff, v=>Settings.entertainerQueueTilesPerStaff=clamp(v,4,200)),
+      label(290, 150, "Entrance plaza radius"),
+      spinner("spEntPlaza", 480, 148, Settings.entertainerPlazaRadius, v=>Settings.entertainerPlazaRadius=clamp(v,0,10)),
+      label(290, 170, "Costume"),
+      dropdown("ddCostume", 350, 168, 150, COSTUMES, i=>Settings.entertainerCostume = COSTUMES[i]),
+
+      // Budget and surplus staff (all roles)
+      line(10, 196, 540),
+      label(10, 202, "Staff Budget (used when \"If staff are insufficient\" is \"Hire within budget\")", 540),
+      dropdown("ddBudget", 10, 220, 150, BUDGET_KINDS, i=>Settings.budgetKind = BUDGET_KINDS[i]),
+      label(170, 222, "Limit ($)"),
+      spinner("spBudget", 230, 220, Settings.budgetLimit, v=>Settings.budgetLimit=clamp(v,0,1000000), 100),
+      label(10, 240, "Monthly wages: the whole wage bill stays under the limit. Cash reserve: keep at least", 540),
+      label(10, 254, "the limit in cash after paying the new hires' first month. Short of money: zones stretch.", 540),
+      label(290, 222, "Surplus staff"),
+      dropdown("ddSurplus", 380, 220, 170, SURPLUS_MODES, i=>Settings.surplusStaff = SURPLUS_MODES[i]),
+
+      // Orders set on Apply, per handyman zone type and per mechanic route
+      line(10, 274, 540),
+      label(10, 280, "Staff Orders (set on Apply)"),
+      ...ORDER_PROFILES.flatMap(([name, k], i)=>[
+        label(10, 298 + i*18, name, 90),
+        ...HANDYMAN_ORDERS.map(([text, bit], j)=>checkbox(`chkOrd${i}${j}`, 100 + j*56, 296 + i*18, 54, text, !!(Settings[k] & bit), v=>toggleOrder(k, bit, v)))
+      ]),
+      label(10, 354, "Garden zone at (% paths by plants)", 200),
+      spinner("spGarden", 220, 352, Settings.gardenZoneShare, v=>{ Settings.gardenZoneShare = clamp(v,5,100); refreshGardenKpis(); }, 5),
+      label(10, 374, "Gardens", 90),
+      dropdown("ddGardenMode", 100, 372, 150, GARDEN_MODES, i=>Settings.gardenMode = GARDEN_MODES[i]),
+      label(260, 374, "Planted tiles per gardener", 160),
+      spinner("spGardener", 420, 372, Settings.gardenTilesPerGardener, v=>Settings.gardenTilesPerGardener=clamp(v,5,500), 5),
+      label(340, 336, "Warn if unwatered from", 140),
+      spinner("spGardenWarn", 480, 334, Settings.gardenLargeTiles, v=>{ Settings.gardenLargeTiles = clamp(v,1,500); refreshGardenKpis(); }),
+      label(340, 280, "Mechanics"),
+      dropdown("ddMechOrders", 340, 296, 210, ["All routes (default)"], i=>{ UiState.orderRoute = i; refreshOrders(); }),
+      ...MECHANIC_ORDERS.map(([text, bit], j)=>checkbox(`chkMo${j}`, 340 + j*70, 316, 66, text, Settings.ordersMechanic & bit, v=>toggleMechanicOrder(bit, v))),
+    ];
+  }
+
+  // Data tab: in-game observations that feed the planner
+  function dataTabWidgets(){
+    return [
+      label(10, 76, "Litter & Vomit Weighting"),
+      checkbox("chkMess", 10, 94, 260, "Balance handyman zones on observed mess", Settings.weightByMess, v=>{
+        Settings.weightByMess=v;
+        refreshWindow();
+      }),
+      label(10, 114, "Sample window (days)"),
+      spinner("spMessDays", 170, 112, Settings.messSampleDays, v=>Settings.messSampleDays=clamp(v,1,60)),
+      label(10, 132, "Units per daily item"),
+      spinner("spMessUnits", 170, 130, Settings.messUnitsPerItem, v=>Settings.messUnitsPerItem=clamp(v,1,20)),
+      label("lblMessInfo", 10, 152, messInfoText()),
+      button("btnMessSample", 10, 170, 100, 16, "Sample now", sampleMess),
+      button("btnMessClear", 120, 170, 100, 16, "Clear samples", clearMess),
+      label(10, 192, "A sample is taken every in-game day while weighting is on.", 540),
+      label(10, 206, "\"Tiles per cleaner\" then means workload units per cleaner.", 540),
+
+      line(10, 224, 540),
+      label(10, 230, "Guest Traffic Heatmap"),
+      checkbox("chkTraffic", 10, 248, 300, "Seed zones at traffic hubs, smaller zones where busy", Settings.useTraffic, v=>{
+        Settings.useTraffic=v;
+        refreshWindow();
+      }),
+      label(10, 268, "Sample every (ticks)"),
+      spinner("spTrafficTicks", 170, 266, Settings.trafficSampleTicks, v=>Settings.trafficSampleTicks=clamp(v,40,4000), 40),
+      label(10, 286, "Rolling window (samples)"),
+      spinner("spTrafficWindow", 170, 284, Settings.trafficWindow, v=>Settings.trafficWindow=clamp(v,10,2000), 10),
+      label(10, 304, "Units per avg. guest"),
+      spinner("spTrafficUnits", 170, 302, Settings.trafficUnitsPerGuest, v=>Settings.trafficUnitsPerGuest=clamp(v,1,20)),
+      label("lblTrafficInfo", 10, 324, trafficInfoText()),
+      button("btnTrafficToggle", 10, 342, 100, 16, trafficData().sampling ? "Stop sampling" : "Start sampling", ()=>{
+        if (trafficData().sampling) stopTraffic(); else startTraffic();
+      }),
+      button("btnTrafficClear", 120, 342, 100, 16, "Clear heatmap", clearTraffic),
+      label(10, 364, "Leave sampling running during normal play, then Preview.", 540),
+    ];
+  }
+
+  // Plans tab: named plans saved in park storage
+  function plansTabWidgets(){
+    return [
+      label(10, 76, "Saved plans (stored with this park)"),
+      table("lstPlans", 10, 92, 540, 200, [["Name",200],["Saved",150],["Zones",60],["Courts",60],["Clusters",60]], i=>{
+        const plans = listSavedPlans();
+        UiState.selectedPlan = plans[i] ? plans[i].name : null;
+      }),
+      button("btnPlanSave",   10, 300, 130, 16, "Save current plan...", onSavePlan),
+      button("btnPlanLoad",   150,300, 110, 16, "Load selected", onLoadPlan),
+      button("btnPlanDelete", 270,300, 110, 16, "Delete selected", onDeletePlan),
+      button("btnExportJson", 10, 320, 130, 16, "Export JSON", onExportJson),
+      button("btnExportCsv",  150,320, 110, 16, "Export CSV", onExportCsv),
+      button("btnImport",     270,320, 110, 16, "Import JSON...", onImportJson),
+      label("lblPlan", 10, 344, "Active plan: " + (Plan.name || "(unsaved)")),
+      label(10, 360, "Loading re-checks the plan against today's paths and lists what changed.", 540),
+      label(10, 374, "Exports open in a text box to copy; Import loads a pasted JSON plan as the preview.", 540),
+    ];
+  }
+
+  // Overlay tab: highlight plan layers on the main map; the layer toggles drive the minimap too
+  function overlayTabWidgets(){
+    return [
+      label(10, 76, "Highlight the plan on the main map and the minimap", 540),
+      checkbox("chkOvOn", 10, 94, 260, "Show overlay", Overlay.active, v=>{ Overlay.active=v; refreshOverlay(); }),
+      button("btnMinimap", 290, 92, 120, 16, "Open minimap...", openMinimap),
+      button("btnDetails", 420, 92, 130, 16, "Plan details...", openDetails),
+      checkbox("chkOvZones", 10, 116, 260, "Handyman zones", Overlay.layers.zones, v=>{ Overlay.layers.zones=v; refreshOverlay(); }),
+      checkbox("chkOvCourts", 10, 134, 260, "Food courts", Overlay.layers.courts, v=>{ Overlay.layers.courts=v; refreshOverlay(); }),
+      checkbox("chkOvRoutes", 10, 152, 260, "Mechanic routes", Overlay.layers.routes, v=>{ Overlay.layers.routes=v; refreshOverlay(); }),
+      checkbox("chkOvGuards", 10, 170, 260, "Guard zones", Overlay.layers.guards, v=>{ Overlay.layers.guards=v; refreshOverlay(); }),
+      checkbox("chkOvEnt", 10, 188, 260, "Entertainer patrols", Overlay.layers.entertainers, v=>{ Overlay.layers.entertainers=v; refreshOverlay(); }),
+      label(10, 212, "Focus"),
+      dropdown("ddOvFocus", 60, 210, 210, overlayFocusItems().map(f=>f.name), i=>{
+        Overlay.focus = i;
+        const f = overlayFocusItems()[i];
+        if (f && f.tiles.size){ const c = centroidOfTiles(f.tiles); viewportPanTo(c.x, c.y, 0); }
+        refreshOverlay();
+      }),
+      button("btnOvRename", 280, 209, 80, 14, "Rename...", renameFocused),
+      label(10, 236, "The main map has a single highlight colour, so Focus picks one zone, court or route;", 540),
+      label(10, 250, "the minimap draws every ticked layer in colours of its own.", 540),
+      label(10, 264, "Rename... gives the focused zone, court, route or patrol a name of your own.", 540),
+    ];
+  }
+
+  // Staff tab: lock single staff members to the patrol they have now
+  function staffTabWidgets(){
+    return [
+      label(10, 76, "Staff (click a row to lock or unlock it)", 540),
+      table("lstStaff", 10, 92, 540, 176, [["Name",170],["Role",90],["Patrol tiles",80],["Plan",150],["Lock",50]], toggleStaffLock),
+      button("btnUndo", 10, 274, 120, 16, "Undo last Apply", openUndoWindow),
+      label("lblUndo", 140, 276, UiState.labels.lblUndo || "", 250),
+      button("btnIdentity", 400, 274, 150, 16, "Restore names & colours", restoreIdentities),
+
+      // Names and uniform colours set on Apply
+      line(10, 296, 540),
+      label(10, 302, "Staff Identity (set on Apply)"),
+      checkbox("chkRename", 10, 318, 110, "Rename to", Settings.renameStaff, v=>Settings.renameStaff=v),
+      label("lblPattern", 120, 318, Settings.staffNamePattern, 250),
+      button("btnPattern", 380, 316, 60, 14, "Edit...", editNamePattern),
+      label(10, 336, "Uniform colours", 110),
+      dropdown("ddColours", 120, 334, 150, COLOUR_MODES, i=>Settings.staffColours = COLOUR_MODES[i]),
+      label(280, 336, "Food court cleaners always wear their own colour.", 270),
+      label(10, 350, "Locked staff keep their patrol area, position, name and colour: zoning, Apply,", 540),
+      label(10, 364, "Re-Optimise and watch mode never change them.", 540),
+      label(10, 378, "\"Lock staff to current assignment\" locks them all.", 540),
+    ];
   }
 
+  // Push every Settings value into its widget (after presets, restores and on open)
   function refreshWindow(){
-    // Just keep spinners aligned to current preset values
+    setDropdown("ddZone", ["Tight Patrols","Balanced Patrols","Wide Patrols"].indexOf(Settings.zonePreset));
+    setDropdown("ddMech", ["Compact Routes","Standard Routes","Extended Routes"].indexOf(Settings.mechPreset));
+    setDropdown("ddFcs", ["Auto-hire","Assign only existing","Fold into general"].indexOf(Settings.foodCourtStaffInsufficient));
+    setDropdown("ddSi", ["Auto-hire","Assign only existing","Stretch zones","Hire within budget"].indexOf(Settings.staffInsufficient));
+    setDropdown("ddBudget", BUDGET_KINDS.indexOf(Settings.budgetKind));
+    setSpinner("spBudget", Settings.budgetLimit);
+    setDropdown("ddSurplus", SURPLUS_MODES.indexOf(Settings.surplusStaff));
+    setSpinner("spGarden", Settings.gardenZoneShare);
+    setDropdown("ddGardenMode", GARDEN_MODES.indexOf(Settings.gardenMode));
+    setChecked("chkRename", Settings.renameStaff);
+    setLabel("lblPattern", Settings.staffNamePattern);
+    setDropdown("ddColours", COLOUR_MODES.indexOf(Settings.staffColours));
+    setSpinner("spGardener", Settings.gardenTilesPerGardener);
+    setSpinner("spGardenWarn", Settings.gardenLargeTiles);
+    refreshOrders();
+
     setSpinner("spTiles", Settings.tilesPerHandyman);
+    setSpinner("spBalance", Settings.zoneBalanceTolerance);
+    setLabel("lblTilesPer", workloadWeighted() ? "Load per cleaner" : "Tiles per cleaner");
+    setSpinner("spFct", Settings.foodCourtStallThreshold);
+    setSpinner("spFcr", Settings.foodCourtRadius);
+    setSpinner("spFctc", Settings.foodCourtTilesPerCleaner);
+    setSpinner("spFcms", Settings.foodCourtMaxTiles);
     setSpinner("spMx", Settings.mechMaxExits);
     setSpinner("spMst", Settings.mechMstCap);
     setSpinner("spDia", Settings.mechDiameterCap);
+    setSpinner("spRisk", Settings.mechRiskCap);
+
+    setChecked("chkHandy", Settings.enableHandymen);
+    setChecked("chkMech", Settings.enableMechanics);
+    setChecked("chkWatch", Settings.watchMode);
+    setChecked("chkRescue", Settings.allowDeadEndRescue);
+    setChecked("chkFac", Settings.includeFacilitiesCuldesacs);
+    setChecked("chkFC", Settings.enableFoodCourts);
+    setChecked("chkFcb", Settings.foodCourtIncludeSeatingBins);
+    setChecked("chkPlz", Settings.mechAvoidPlazas);
+    setChecked("chkRed", Settings.mechSmallRedundancy);
+    setChecked("chkSpawn", Settings.spawnNewInsideZone);
+    setChecked("chkMove", Settings.moveExistingToZone);
+    setChecked("chkLock", Settings.lockAssignments);
+    setChecked("chkGuards", Settings.enableGuards);
+    setSpinner("spGuardLoad", Settings.guardLoadPerGuard);
+    setSpinner("spGuardRad", Settings.guardGuestRadius);
+    setSpinner("spGuardReach", Settings.guardReach);
+    setChecked("chkMess", Settings.weightByMess);
+    setSpinner("spMessDays", Settings.messSampleDays);
+    setSpinner("spMessUnits", Settings.messUnitsPerItem);
+    setLabel("lblMessInfo", messInfoText());
+    setChecked("chkTraffic", Settings.useTraffic);
+    setSpinner("spTrafficTicks", Settings.trafficSampleTicks);
+    setSpinner("spTrafficWindow", Settings.trafficWindow);
+    setSpinner("spTrafficUnits", Settings.trafficUnitsPerGuest);
+    setLabel("lblTrafficInfo", trafficInfoText());
+    setButtonText("btnTrafficToggle", trafficData().sampling ? "Stop sampling" : "Start sampling");
+    setChecked("chkEnt", Settings.enableEntertainers);
+    setSpinner("spEntMin", Settings.entertainerMinQueue);
+    setSpinner("spEntRatio", Settings.entertainerQueueTilesPerStaff);
+    setSpinner("spEntPlaza", Settings.entertainerPlazaRadius);
+    setDropdown("ddCostume", COSTUMES.indexOf(Settings.entertainerCostume));
+
+    for (const name in UiState.labels) setLabel(name, UiState.labels[name]);
+    setWarnings(UiState.warnings);
+    setPlanningButtons(!!Job.steps);
+    refreshPlansList();
+    refreshStaffList();
+
+    setChecked("chkOvOn", Overlay.active);
+    setChecked("chkOvZones", Overlay.layers.zones);
+    setChecked("chkOvCourts", Overlay.layers.courts);
+    setChecked("chkOvRoutes", Overlay.layers.routes);
+    setChecked("chkOvGuards", Overlay.layers.guards);
+    setChecked("chkOvEnt", Overlay.layers.entertainers);
+    try { getW("ddOvFocus").items = overlayFocusItems().map(f=>f.name); } catch {}
+    setDropdown("ddOvFocus", Overlay.focus);
+  }
+
+  // Reset offers clearing the plan separately from the two ways of restoring settings
+  function openResetWindow(){
+    const existing = ui.getWindow("auto-patrol-manager-reset");
+    if (existing){ existing.bringToFront(); return; }
+    const done = (text)=>{ refreshWindow(); setLabel("lblKpi", text); ui.closeWindows("auto-patrol-manager-reset"); };
+    ui.openWindow({
+      classification: "auto-patrol-manager-reset",
+      title: "Reset",
+      width: 220,
+      height: 112,
+      colours: [24,24],
+      widgets: [
+        button("btnResetPlan", 10, 20, 200, 16, "Clear plan", ()=>{ onReset(); ui.closeWindows("auto-patrol-manager-reset"); }),
+        button("btnResetDefaults", 10, 40, 200, 16, "Restore defaults", ()=>{
+          assignSettings(DEFAULT_SETTINGS);
+          done("Status: settings restored to built-in defaults (not yet saved to park).");
+        }),
+        button("btnResetPark", 10, 60, 200, 16, "Restore park-saved values", ()=>{
+          const source = loadSettings();
+          done(source === "park" ? "Status: park-saved settings restored." : "Status: no park-saved settings; loaded " + (source === "global" ? "global default." : "built-in defaults."));
+        }),
+        button("btnSaveGlobal", 10, 86, 200, 16, "Save current as global default", ()=>{
+          const ok = saveSettingsAsGlobal();
+          done(ok ? "Status: current settings saved as the global default." : "Status: shared storage not available on this build.");
+        })
+      ]
+    });
   }
 
   // UI helpers
-  function label(x,y,text){ return { type:"label", x, y, width:240, height:12, text}; }
+  function label(name,x,y,text,w){
+    if (typeof name !== "string") return { type:"label", x:name, y:x, width:text || 240, height:12, text:y }; // unnamed: label(x,y,text[,w])
+    return { type:"label", name, x, y, width:w || Math.max(60, 550-x), height:12, text };
+  }
   function line(x,y,w){ return { type:"line", x, y, width:w, height:0 }; }
   function button(name,x,y,w,h,text, onClick){ return { type:"button", name, x,y, width:w, height:h, text, onClick }; }
   function checkbox(name,x,y,w,text,isChecked,onChange){
     return { type:"checkbox", name, x,y, width:w, height:12, text, isChecked, onChange:()=>{ const wdg=getW(name); wdg.isChecked=!wdg.isChecked; onChange(wdg.isChecked);} };
   }
   function dropdown(name,x,y,w,items,onChange){ return { type:"dropdown", name, x,y, width:w, height:12, items, selectedIndex:0, onChange }; }
-  function spinner(name,x,y,val,onChangeNum){
+  function spinner(name,x,y,val,onChangeNum,step){
+    step = step || 1;
     return { type:"spinner", name, x,y, width:50,height:12, text:String(val),
-      onIncrement:()=>{ const sp=getW(name); const v=(parseInt(sp.text||"0",10)||0)+1; sp.text=String(v); onChangeNum(v); },
-      onDecrement:()=>{ const sp=getW(name); const v=(parseInt(sp.text||"0",10)||0)-1; sp.text=String(v); onChangeNum(v); }
+      onIncrement:()=>{ const sp=getW(name); const v=(parseInt(sp.text||"0",10)||0)+step; sp.text=String(v); onChangeNum(v); },
+      onDecrement:()=>{ const sp=getW(name); const v=(parseInt(sp.text||"0",10)||0)-step; sp.text=String(v); onChangeNum(v); }
     };
   }
-  function list(name,x,y,w,h,items){ return { type:"listview", name, x,y, width:w, height:h, isStriped:true, showColumnHeaders:false, columns:[{header:"", width:w-10}], items: items.map(s=>[s])}; }
+  function table(name,x,y,w,h,columns,onClick){
+    return { type:"listview", name, x,y, width:w, height:h, isStriped:true, showColumnHeaders:true, canSelect:true, scrollbars:"vertical",
+      columns: columns.map(c=>({ header:c[0], width:c[1] })), items:[], onClick };
+  }
   function setSpinner(name,val){ try{ getW(name).text=String(val);}catch{} }
-  function setLabel(name,text){ try{ getW(name).text=text;}catch{} }
-  function setWarnings(lines){ try{ getW("lstWarn").items = lines.map(s=>[s]); } catch{} }
+  function setLabel(name,text){ UiState.labels[name]=text; try{ getW(name).text=text;}catch{} }
+  function setButtonText(name,text){ try{ getW(name).text=text;}catch{} }
+  function setChecked(name,val){ try{ getW(name).isChecked=!!val;}catch{} }
+  function setDropdown(name,index){ try{ if (index>=0) getW(name).selectedIndex=index;}catch{} }
+  function setWarnings(records){ UiState.warnings=records; try{ getW("lstWarn").items = records.map(r=>[SEVERITY_LABELS[r.severity], r.text]); } catch{} }
   function getW(name){ return ui.getWindow("auto-patrol-manager").findWidget(name); }
 
   // -----------------------------
   // Preview / Apply / Reset
   // -----------------------------
   function onReset(){
+    stopPlanning();
+    ui.closeWindows("auto-patrol-manager-confirm"); // its rows point into the old plan
     Plan.built=false;
+    Plan.applied=false;
+    Plan.weighted=false;
     Plan.warnings = [];
-    Plan.kpis = { validPathTiles:0, coveredTiles:0, handymanAvgTiles:0, handymanMaxTiles:0, mechClusters:0, mechAvgExits:0, mechLongestRoute:0, foodCourts:0 };
-    Plan.nodes=[]; Plan.edges=[]; Plan.validNodeIds.clear(); Plan.attractorNodeIds.clear();
+    Plan.kpis = { validPathTiles:0, coveredTiles:0, handymanAvgTiles:0, handymanMaxTiles:0, handymanAvgLoad:0, handymanMaxLoad:0, zoneBalance:0, zoneBorders:0, zoneCompactness:0, mechClusters:0, mechAvgExits:0, mechLongestRoute:0, foodCourts:0, guardZones:0, guardHotspots:0, guardBroken:0, entertainers:0, queuesCovered:0, longestQueue:0, gardenPlanted:0, gardenWatered:0, gardenGrass:0, gardenMowed:0, staffBudget:null };
+    Plan.nodes=[]; Plan.edges=[]; Plan.validNodeIds.clear(); Plan.queueNodeIds.clear(); Plan.attractorNodeIds.clear();
     Plan.foodCourts=[]; Plan.reservedFoodTiles.clear();
     Plan.handymanZones=[]; Plan.mechExits=[]; Plan.mechClusters=[];
+    Plan.gardens=[]; Plan.gardenTiles=[];
+    Plan.guardZones=[]; Plan.guardHotspots=[];
+    Plan.queueLines=[]; Plan.entertainerPatrols=[];
     Plan.staff = { handymen:[], mechanics:[] };
+    Plan.budgetShort = {};
+    Plan.name = null;
+    Plan.stale = false;
+    Watch.dirtyTiles.clear(); Watch.demolishedRides.clear();
+    setLabel("lblStale","");
+    setLabel("lblPlan","Active plan: (unsaved)");
     setLabel("lblKpi","Status: plan cleared.");
     setWarnings([]);
+    Overlay.focus = 0;
+    clearOverlay();
+    refreshMinimap();
+    refreshDetails();
   }
 
+  // Planning runs as a job over game ticks (see Planning job below)
   function onPreview(){
     onReset();
-    buildPathGraph();
-    pruneSceneryBranches();
+    saveSettingsToPark();
+    startPlanning();
+  }
 
-    if (Settings.enableFoodCourts) detectFoodCourts();
+  // -----------------------------
+  // Planning job (time-sliced)
+  // -----------------------------
+  // Each planning step is a generator that yields often (a 0..1 fraction when it knows its progress).
+  // Every game tick resumes the job until SLICE_MS is used up, so a big park never stalls a frame.
+  const SLICE_MS = 4;
+  const Job = {
+    steps: null,  // [[label, generator function]] while planning, else null
+    index: 0,
+    iter: null,   // the running step
+    fraction: 0,
+    sub: null     // interval.tick subscription
+  };
 
-    if (Settings.enableHandymen) buildHandymanZones();
-    if (Settings.enableMechanics) buildMechanicRoutes();
+  function planningSteps(){
+    const steps = [
+      ["Scanning map", scanMap],
+      ["Building path graph", buildPathGraph],
+      ["Pruning paths", pruneSceneryBranches]
+    ];
+    if (Settings.enableFoodCourts) steps.push(["Finding food courts", detectFoodCourts]);
+    if (Settings.enableHandymen) steps.push(["Finding gardens", findGardens], ["Building handyman zones", buildHandymanZones]);
+    if (Settings.enableMechanics) steps.push(["Routing mechanics", buildMechanicRoutes]);
+    if (Settings.enableGuards) steps.push(["Zoning guards", buildGuardZones]);
+    if (Settings.enableEntertainers) steps.push(["Placing entertainers", buildEntertainerPatrols]);
+    if (Settings.enableHandymen || Settings.enableMechanics) steps.push(["Matching staff", proposeStaff]);
+    steps.push(["Computing KPIs", buildKpis]);
+    return steps;
+  }
 
-    computeKpis();
-    showStatus();
+  function startPlanning(){
+    Job.steps = planningSteps();
+    Plan.budgetShort = {};
+    resetBudget();
+    Job.index = 0; Job.iter = null; Job.fraction = 0;
+    Job.sub = safe(()=>context.subscribe("interval.tick", runPlanningSlice), null);
+    setPlanningButtons(true);
+    if (Job.sub) runPlanningSlice();
+    else while (Job.steps) runPlanningSlice(); // no tick hook: plan in one go
   }
 
-  function onApply(){
-    if (!Plan.built){
-      ui.showError("No plan yet","Click Preview first to build a plan.");
+  function runPlanningSlice(){
+    if (!Job.steps) return;
+    const end = Date.now() + SLICE_MS;
+    try {
+      do {
+        if (!Job.iter){
+          if (Job.index >= Job.steps.length){ finishPlanning(); return; }
+          Job.iter = Job.steps[Job.index][1]();
+          Job.fraction = 0;
+        }
+        const r = Job.iter.next();
+        if (r.done){ Job.iter = null; Job.index++; }
+        else if (typeof r.value === "number") Job.fraction = r.value;
+      } while (Date.now() < end);
+    } catch (e) {
+      onReset();
+      setLabel("lblKpi", "Status: planning failed: " + ((e && e.message) || e));
       return;
     }
-    let notes = [];
+    const done = (Job.index + clamp(Job.fraction, 0, 1)) / Job.steps.length;
+    const bar = Math.round(done * 20);
+    const step = Job.steps[Math.min(Job.index, Job.steps.length-1)][0];
+    setLabel("lblKpi", `Planning [${"#".repeat(bar)}${"-".repeat(20-bar)}] ${Math.round(done*100)}%  ${step}...`);
+  }
 
-    const appliedHandy = applyHandymanZones(notes);
-    const appliedMech  = applyMechanicRoutes(notes);
+  function finishPlanning(){
+    stopPlanning();
+    showStatus();
+    // the map changed while we were planning: catch up like watch mode would
+    if (Watch.dirtyTiles.size || Watch.demolishedRides.size){
+      if (Settings.watchMode) replanIncremental();
+      else { Plan.stale = true; setLabel("lblStale", "Plan is stale"); }
+    }
+  }
 
-    const msg = [
-      appliedHandy ? "Handyman zones applied (where supported)." : "Handyman zones previewed only.",
-      appliedMech  ? "Mechanic routes applied (where supported)." : "Mechanic routes previewed only.",
-      "",
-      "Notes:",
-      ...notes
-    ].join("\n");
-    ui.showTextInput({title:"Auto Patrol Manager", description:"Result summary (read-only).", initialValue:msg, callback:()=>{}});
+  function cancelPlanning(){
+    if (!Job.steps) return;
+    onReset();
+    setLabel("lblKpi", "Status: planning cancelled.");
+  }
+
+  // Drop the job and everything it cached; the plan itself is left to the caller
+  function stopPlanning(){
+    if (Job.sub) safe(()=>Job.sub.dispose(), null);
+    Job.steps = null; Job.iter = null; Job.sub = null;
+    releaseScan();
+    BfsCache.clear();
+    setPlanningButtons(false);
+  }
+
+  // Run a step to the end in one go (watch mode, restoring a plan); returns its result
+  function runNow(gen){
+    let r = gen.next();
+    while (!r.done) r = gen.next();
+    return r.value;
+  }
+
+  function setPlanningButtons(running){
+    for (const name of ["btnPreview", "btnApply", "btnRebuild"]) try { getW(name).isDisabled = running; } catch {}
+    try { getW("btnCancel").isVisible = running; } catch {}
+    try { getW("btnReset").isVisible = !running; } catch {}
   }
 
   // -----------------------------
-  // Build Footpath Graph
+  // Map scan cache
   // -----------------------------
-  function buildPathGraph(){
-    const w = map.size.x, h = map.size.y;
-    Plan.width = w; Plan.height = h;
-
-    const nodes = [];
-    const idByXY = new Map();
-    const edges = [];
-    const attractors = new Set();
+  // Planning reads the map once: the elements the planner looks at are copied into plain objects, so
+  // the graph, facing entrances, shops, exits and queues never go back to map.getTile mid-plan.
+  const SCAN_TYPES = ["footpath", "rideEntrance", "rideExit", "smallScenery", "largeScenery"];
+  const SCAN_FIELDS = ["baseZ", "slopeDirection", "isSloped", "direction", "edges", "edgesAndCorners", "isQueue", "queue",
+    "flags", "ride", "rideIndex", "station", "addition", "isAdditionBroken", "object"];
+  const Scan = {
+    tiles: null,   // "x,y" -> [element copy], only while a plan is being built
+    entrances: [], // [{x, y, el}] every ride entrance/exit, in scan order
+    lawns: null    // Set of "x,y" tiles that are bare, park-owned grass (mowable)
+  };
 
-    // Scan tiles
+  function* scanMap(){
+    const w = map.size.x, h = map.size.y;
+    const tiles = new Map(), entrances = [], lawns = new Set();
     for (let x=0; x<w; x++){
       for (let y=0; y<h; y++){
-        const tile = map.getTile(x,y);
+        const tile = safe(()=>map.getTile(x,y), null);
         if (!tile) continue;
-        // Determine if this tile has a usable footpath (not a queue)
-        let hasPath = false;
-        let isQueue = false;
-
-        for (let i=0; i<tile.elements.length; i++){
-          const el = tile.elements[i];
+        let kept = null;
+        if (isLawn(tile.elements)) lawns.add(key(x,y));
+        for (const el of tile.elements){
           const t = String(el.type||"");
-          if (t === "footpath"){
-            hasPath = true;
-            // multiple field names across builds; be defensive
-            const q = (el.isQueue === true) || (el.queue === true) || (String(el.flags||"").indexOf("queue")>=0);
-            if (q) isQueue = true;
-          }
-          if (t === "rideEntrance" || t === "rideExit"){
-            attractors.add(key(x,y));
+          if (SCAN_TYPES.indexOf(t) < 0) continue;
+          const copy = { type: t };
+          for (const f of SCAN_FIELDS){
+            const v = safe(()=>el[f], undefined);
+            if (v !== undefined) copy[f] = v;
           }
+          (kept || (kept = [])).push(copy);
+          if (t === "rideEntrance" || t === "rideExit") entrances.push({ x, y, el: copy });
         }
+        if (kept) tiles.set(key(x,y), kept);
+      }
+      yield (x+1) / w;
+    }
+    Scan.tiles = tiles;
+    Scan.entrances = entrances;
+    Scan.lawns = lawns;
+  }
+
+  function releaseScan(){
+    Scan.tiles = null;
+    Scan.entrances = [];
+    Scan.lawns = null;
+  }
+
+  // Elements on x,y: from the scan while planning, else live (watch mode, restoring a plan)
+  function tileElements(x,y){
+    if (Scan.tiles) return Scan.tiles.get(key(x,y)) || [];
+    const tile = safe(()=>map.getTile(x,y), null);
+    return tile ? tile.elements : [];
+  }
 
-        if (hasPath && !isQueue){
-          const id = nodes.length;
-          nodes.push({ id, x, y, deg: 0, attractor: attractors.has(key(x,y)), component:-1, valid:true });
-          idByXY.set(key(x,y), id);
+  // Every ride entrance/exit on the map as {x, y, el}
+  function entranceElements(){
+    if (Scan.tiles) return Scan.entrances;
+    const found = [];
+    for (let x=0; x<map.size.x; x++){
+      for (let y=0; y<map.size.y; y++){
+        for (const el of tileElements(x,y)){
+          const t = String(el.type||"");
+          if (t === "rideEntrance" || t === "rideExit") found.push({ x, y, el });
         }
       }
     }
+    return found;
+  }
 
-    // Edges (4-neighbour)
-    for (let i=0; i<nodes.length; i++){
-      edges[i] = [];
-    }
-    for (let i=0; i<nodes.length; i++){
-      const n = nodes[i];
-      const nbrs = [[1,0],[-1,0],[0,1],[0,-1]];
-      for (const d of nbrs){
-        const nx = n.x + d[0], ny = n.y + d[1];
-        const id2 = idByXY.get(key(nx,ny));
-        if (id2 !== undefined){
-          edges[i].push(id2);
-          nodes[i].deg++;
-        }
+  // -----------------------------
+  // Build Footpath Graph
+  // -----------------------------
+  function* buildPathGraph(){
+    const w = map.size.x, h = map.size.y;
+    Plan.width = w; Plan.height = h;
+    Plan.nodes = [];
+    Plan.idByXY = new Map();
+    Plan.idsByXY = new Map();
+    Plan.edges = [];
+
+    // Scan tiles: one node per footpath element, so bridges and tunnels keep their own level
+    for (let x=0; x<w; x++){
+      for (let y=0; y<h; y++){
+        for (const info of scanPathElements(x,y)) addPathNode(x, y, info);
       }
+      yield x / w / 2;
     }
 
+    // Edges (4-neighbour, only where heights meet)
+    for (let i=0; i<Plan.nodes.length; i++){
+      linkNode(i);
+      if ((i & 511) === 511) yield 0.5 + i / Plan.nodes.length / 2;
+    }
+
+    const nodes = Plan.nodes;
+
     // Facilities attractors (optional)
     if (Settings.includeFacilitiesCuldesacs){
       // Try to find stalls and toilets by scanning tiles for facility entrances
       for (let x=0; x<w; x++){
         for (let y=0; y<h; y++){
-          const tile = map.getTile(x,y);
-          for (const el of tile.elements){
+          for (const el of tileElements(x,y)){
             const t = String(el.type||"");
             if (t === "smallScenery" || t==="largeScenery") {
               // benches/bins count as soft attractors (optional)
               if (Settings.foodCourtIncludeSeatingBins){
                 if (String(el.object)||"".toLowerCase().indexOf("bench")>=0 ||
                     String(el.object)||"".toLowerCase().indexOf("bin")>=0){
-                  const id = idByXY.get(key(x,y));
-                  if (id !== undefined) nodes[id].attractor = true;
+                  for (const id of nodesAt(x,y)) nodes[id].attractor = true;
                 }
               }
             }
             // We keep ride entrances/exits already added
           }
         }
+        yield;
       }
     }
 
-    // Save
-    Plan.nodes = nodes;
-    Plan.idByXY = idByXY;
-    Plan.edges = edges;
-    Plan.validNodeIds = new Set(nodes.map(n=>n.id));
+    refreshNodeSets();
+  }
+
+  // Walkable paths are valid until pruned; queue lines are kept as their own layer
+  function refreshNodeSets(){
+    Plan.validNodeIds = new Set();
+    Plan.queueNodeIds = new Set();
     Plan.attractorNodeIds.clear();
-    for (const n of nodes) if (n.attractor) Plan.attractorNodeIds.add(n.id);
+    for (const n of Plan.nodes){
+      if (n.removed) continue;
+      if (n.queue){ Plan.queueNodeIds.add(n.id); continue; }
+      Plan.validNodeIds.add(n.id);
+      if (n.attractor) Plan.attractorNodeIds.add(n.id);
+    }
+  }
+
+  // One entry per footpath element on the tile: its height, slope and connected edges, whether it is a
+  // path or a queue (and its ride), whether a ride entrance/exit opens onto it and whether it carries a
+  // breakable addition (bench, lamp, bin)
+  function scanPathElements(x,y){
+    const found = [];
+    for (const el of tileElements(x,y)){
+      if (String(el.type||"") !== "footpath") continue;
+      const info = { z: el.baseZ || 0, slope: pathSlope(el), edgeMask: pathEdges(el), path:false, queue:false, queueRide:-1, attractor:false, breakable:false, broken:false };
+      // multiple field names across builds; be defensive
+      const q = (el.isQueue === true) || (el.queue === true) || (String(el.flags||"").indexOf("queue")>=0);
+      if (q){
+        const r = (typeof el.ride === "number") ? el.ride : el.rideIndex;
+        if (typeof r === "number" && r >= 0 && r < 255) info.queueRide = r;
+      }
+      if (isBreakableAddition(el)){
+        info.breakable = true;
+        if (el.isAdditionBroken === true) info.broken = true;
+      }
+      info.path = !q;
+      info.queue = q;
+      found.push(info);
+    }
+    for (const info of found) info.attractor = facingEntrances(x, y, info).length > 0;
+    return found;
+  }
+
+  // Connected edges as a 4-bit mask (bit = direction), or null when the build doesn't expose them
+  function pathEdges(el){
+    if (typeof el.edges === "number") return el.edges & 15;
+    if (typeof el.edgesAndCorners === "number") return el.edgesAndCorners & 15;
+    return null;
+  }
+
+  function opensTowards(n, dir){
+    return n.edgeMask === null || n.edgeMask === undefined || (n.edgeMask & (1 << dir)) !== 0;
+  }
+
+  // Ride entrances/exits on neighbouring tiles that face this path element at the height of its edge.
+  // An entrance's direction points away from its station, at the path it opens onto.
+  function facingEntrances(x, y, n){
+    const found = [];
+    for (let dir=0; dir<4; dir++){
+      const h = edgeHeight(n, dir);
+      if (h === null || !opensTowards(n, dir)) continue;
+      for (const el of tileElements(x + DIR_DELTA[dir][0], y + DIR_DELTA[dir][1])){
+        const t = String(el.type||"");
+        if (t !== "rideEntrance" && t !== "rideExit") continue;
+        if (((el.direction & 3) + 2 & 3) !== dir || (el.baseZ || 0) !== h) continue;
+        found.push({ type: t, el, dir });
+      }
+    }
+    return found;
+  }
+
+  // Direction the path rises towards (0..3), or null when flat
+  function pathSlope(el){
+    const d = el.slopeDirection;
+    if (typeof d === "number" && d >= 0 && d <= 3) return d;
+    if (el.isSloped === true && typeof el.direction === "number") return el.direction & 3;
+    return null;
+  }
+
+  // Height of a node's edge facing direction dir, or null if it can't be entered from that side
+  // (slopes and stairs only connect at their low and high ends)
+  const DIR_DELTA = [[-1,0],[0,1],[1,0],[0,-1]];
+  function edgeHeight(n, dir){
+    if (n.slope === null) return n.z;
+    if (dir === n.slope) return n.z + 16;
+    if (dir === ((n.slope + 2) & 3)) return n.z;
+    return null;
+  }
+
+  // Every path level on the tile (lowest first)
+  function nodesAt(x,y){ return Plan.idsByXY.get(key(x,y)) || []; }
+
+  // The node on x,y at height z (either end of a slope counts), else the tile's lowest node
+  function nodeAtHeight(x,y,z){
+    for (const id of nodesAt(x,y)){
+      const n = Plan.nodes[id];
+      if (z >= n.z && z <= n.z + (n.slope === null ? 0 : 16)) return id;
+    }
+    return Plan.idByXY.get(key(x,y));
+  }
+
+  // Benches, lamps and bins can be vandalised; fountains and queue TVs can't
+  function isBreakableAddition(el){
+    if (el.addition === null || el.addition === undefined) return false;
+    const obj = safe(()=>objectManager.getObject("footpath_addition", el.addition), null);
+    if (!obj) return true; // unknown object: assume the common case
+    const id = String(obj.identifier || obj.name || "").toLowerCase();
+    return id.indexOf("bench")>=0 || id.indexOf("lamp")>=0 || id.indexOf("litter")>=0 || id.indexOf("bin")>=0;
+  }
+
+  function addPathNode(x,y,info){
+    const id = Plan.nodes.length;
+    Plan.nodes.push({ id, x, y, z: info.z, slope: info.slope, edgeMask: info.edgeMask, deg: 0, attractor: info.attractor, breakable: info.breakable, broken: info.broken,
+      queue: info.queue, queueRide: info.queueRide, component:-1, valid:true });
+    indexTileNodes(x, y, nodesAt(x,y).concat([id]));
+    Plan.edges[id] = [];
+    return id;
+  }
+
+  // Keep a tile's level list sorted by height; idByXY points at the lowest level
+  function indexTileNodes(x,y,ids){
+    const k = key(x,y);
+    if (!ids.length){ Plan.idsByXY.delete(k); Plan.idByXY.delete(k); return; }
+    ids.sort((a,b)=>Plan.nodes[a].z - Plan.nodes[b].z);
+    Plan.idsByXY.set(k, ids);
+    Plan.idByXY.set(k, ids[0]);
+  }
+
+  // (Re)compute a node's neighbour list: levels on adjacent tiles whose facing edges are at the same
+  // height and actually joined on both sides
+  function linkNode(id){
+    const n = Plan.nodes[id];
+    const list = [];
+    if (!n.removed){
+      for (let dir=0; dir<4; dir++){
+        const h = edgeHeight(n, dir);
+        if (h === null || !opensTowards(n, dir)) continue;
+        for (const id2 of nodesAt(n.x + DIR_DELTA[dir][0], n.y + DIR_DELTA[dir][1])){
+          const n2 = Plan.nodes[id2];
+          if (edgeHeight(n2, (dir + 2) & 3) === h && opensTowards(n2, (dir + 2) & 3)) list.push(id2);
+        }
+      }
+    }
+    Plan.edges[id] = list;
+    n.deg = list.length;
   }
 
   // Prune scenery-only branches: peel leaves not adjacent to attractors
-  function pruneSceneryBranches(){
+  function* pruneSceneryBranches(){
     const valid = Plan.validNodeIds;
     const edges = Plan.edges;
     const nodes = Plan.nodes;
     const attractors = Plan.attractorNodeIds;
+    let steps = 0;
 
     // mark nodes that are leaves (deg 1 among valid nodes)
     const deg = new Array(nodes.length).fill(0);
     for (const id of valid) {
+      if ((++steps & 1023) === 0) yield;
       for (const nb of edges[id]) if (valid.has(nb)) deg[id]++;
     }
 
     const queue = [];
     for (const id of valid){
+      if ((++steps & 1023) === 0) yield;
       if (deg[id] <= 1 && !adjacentToAttractor(id)) queue.push(id);
     }
 
+    // a path that leads into a queue line leads to a ride, so it counts as well
     function adjacentToAttractor(id){
       if (attractors.has(id)) return true;
-      for (const nb of edges[id]) if (attractors.has(nb)) return true;
+      for (const nb of edges[id]) if (attractors.has(nb) || Plan.queueNodeIds.has(nb)) return true;
       return false;
     }
 
     while (queue.length){
+      if ((++steps & 1023) === 0) yield;
       const id = queue.pop();
       if (!valid.has(id)) continue;
       if (adjacentToAttractor(id)) continue; // keep
@@ -475,7 +1214,7 @@
   // -----------------------------
   // Food Court Detection
   // -----------------------------
-  function detectFoodCourts(){
+  function* detectFoodCourts(){
     const courts = [];
     const reserved = new Set();
 
@@ -494,6 +1233,7 @@
 
     // Try each shop entrance as a seed
     for (const pt of shopEntrances){
+      yield;
       let count = 0;
       for (const pt2 of shopEntrances){
         const dx = pt2.x-pt.x, dy = pt2.y-pt.y;
@@ -504,7 +1244,9 @@
 
     // Grow courts from seeds
     const visited = new Set();
-    for (const c of stallCenters){
+    for (let si=0; si<stallCenters.length; si++){
+      const c = stallCenters[si];
+      yield si / stallCenters.length;
       const nid = Plan.idByXY.get(key(c.x, c.y));
       if (nid === undefined || !Plan.validNodeIds.has(nid)) continue;
       if (visited.has(nid)) continue;
@@ -540,10 +1282,9 @@
     Plan.kpis.foodCourts = courts.length;
   }
 
-  // Attempt to detect shop entrances by scanning tiles for rideEntrance elements whose ride is a stall
+  // Attempt to detect shop entrances: rideEntrance elements whose ride is a stall
   function getLikelyShopEntranceCoords(){
     const coords = [];
-    const w = map.size.x, h = map.size.y;
     const rideCache = {};
     function isStallRide(ride){
       if (!ride) return false;
@@ -553,20 +1294,14 @@
       const cat = String(ride.classification||"").toLowerCase();
       return (t.indexOf("stall")>=0 || t.indexOf("shop")>=0 || cat.indexOf("stall")>=0 || cat.indexOf("shop")>=0 || name.indexOf("stall")>=0 || name.indexOf("shop")>=0);
     }
-    for (let x=0; x<w; x++){
-      for (let y=0; y<h; y++){
-        const tile = map.getTile(x,y);
-        for (const el of tile.elements){
-          if (String(el.type||"") === "rideEntrance"){
-            const rid = el.ride;
-            if (rideCache[rid] === undefined){
-              rideCache[rid] = safe(()=>map.rides[rid], null);
-            }
-            if (isStallRide(rideCache[rid])){
-              coords.push({x,y});
-            }
-          }
-        }
+    for (const { x, y, el } of entranceElements()){
+      if (String(el.type||"") !== "rideEntrance") continue;
+      const rid = el.ride;
+      if (rideCache[rid] === undefined){
+        rideCache[rid] = safe(()=>map.rides[rid], null);
+      }
+      if (isStallRide(rideCache[rid])){
+        coords.push({x,y});
       }
     }
     return coords;
@@ -575,56 +1310,61 @@
   // -----------------------------
   // Handyman Zoning
   // -----------------------------
-  function buildHandymanZones(){
+  function* buildHandymanZones(){
     const valid = new Set([...Plan.validNodeIds].filter(id => !Plan.reservedFoodTiles.has(id)));
     if (valid.size === 0) return;
 
     const zones = [];
 
+    // Locked handymen keep their patrol: its tiles leave the pool before anything is zoned
+    const locked = lockedPatrols(getAllHandymen());
+    const lockedTiles = new Set();
+    for (const lp of locked) for (const t of lp.tiles){ lockedTiles.add(t); valid.delete(t); }
+
     // First: assign Food Court dedicated zones
     if (Settings.enableFoodCourts && Plan.foodCourts.length){
       for (const court of Plan.foodCourts){
         const ztiles = new Set();
-        for (const t of court.tiles) if (Plan.validNodeIds.has(t)) ztiles.add(t);
+        for (const t of court.tiles) if (Plan.validNodeIds.has(t) && !lockedTiles.has(t)) ztiles.add(t);
         if (!ztiles.size) continue;
-        zones.push({ tiles: ztiles, centroid: centroidOfTiles(ztiles), name: court.name });
+        zones.push({ tiles: ztiles, centroid: centroidOfTiles(ztiles), name: court.name, kind: "foodCourt" });
         // remove from general valid
         for (const t of ztiles) valid.delete(t);
       }
     }
 
-    // Determine how many handymen are needed
-    const tcount = valid.size;
+    // Determine how many handymen are needed (tiles, or mess-weighted workload units)
+    const weightOf = workloadFn();
+    foldCourtPockets(valid, zones, weightOf || (()=>1));
+    yield;
+    let tcount = valid.size;
+    if (weightOf){ tcount = 0; for (const id of valid) tcount += weightOf(id); }
     let needed = Math.ceil(tcount / Settings.tilesPerHandyman);
     if (!Settings.enableHandymen) needed = 0;
 
-    // Existing staff?
+    // Existing staff? (locked ones are spoken for)
     const existingHandy = getAllHandymen();
-    let available = existingHandy.length;
+    const available = existingHandy.length - locked.length;
     if (Settings.staffInsufficient === "Assign only existing") {
       needed = Math.min(needed, available);
-    } else if (Settings.staffInsufficient === "Stretch zones") {
-      // keep needed as-is, will stretch later; just a flag
-    } else {
-      // Auto-hire as needed (best effort)
-      if (available < needed) {
-        const hireCount = needed - available;
-        const hired = tryHireStaff("handyman", hireCount);
-        available += hired;
-      }
+    } else if (Settings.enableHandymen) {
+      // food courts take their cleaners first; what the budget can't pay for stretches the general zones
+      needed = budgetCap("handyman", needed + zones.length, available) - zones.length;
     }
+    // "Stretch zones" keeps needed as-is; "Auto-hire" hires the difference on Apply, once confirmed
 
-    // Seeds from hubs among valid tiles
+    // Partition the network into contiguous, balanced zones
     if (needed <= 0 && valid.size>0) needed = 1; // ensure at least one zone if there are tiles
-    const seeds = pickSeeds(valid, Math.max(needed, 0));
-    // Grow balanced flood fills
-    const target = Settings.tilesPerHandyman;
-    const grown = balancedFlood(valid, seeds, target);
+    let grown = yield* partitionZones(valid, needed, weightOf);
+    // Dedicated gardeners overlap the general zones along the flowerbeds; they come out of the spare staff
+    const gardeners = Settings.gardenMode === "Dedicated gardeners" && Settings.enableHandymen ? gardenerZones(available - zones.length - grown.length) : [];
+    const spare = available - zones.length - grown.length - gardeners.length;
+    if (Settings.surplusStaff === "Split biggest zones" && Settings.enableHandymen && spare > 0) grown = yield* splitBiggest(grown, spare, weightOf);
 
     for (let i=0;i<grown.length;i++){
       const tiles = grown[i];
       if (!tiles || !tiles.size) continue;
-      zones.push({ tiles, centroid: centroidOfTiles(tiles), name: `Zone ${zones.length+1}` });
+      zones.push({ tiles, centroid: centroidOfTiles(tiles), name: `Zone ${zones.length+1}`, kind: "general" });
     }
 
     // Dead-end rescue pass if allowed
@@ -632,255 +1372,741 @@
       rescueDeadEnds(zones);
     }
 
+    gardeners.forEach((tiles, i)=>{
+      zones.push({ tiles, centroid: centroidOfTiles(tiles), name: `Garden zone ${i+1}`, kind: "garden" });
+    });
+
+    for (const lp of locked){
+      if (lp.tiles.size) zones.push({ tiles: lp.tiles, centroid: centroidOfTiles(lp.tiles), name: `${staffName(lp.staff)} (locked)`, kind: "locked", locked: true, staffId: lp.staff.id });
+    }
+
     Plan.handymanZones = zones;
+    Plan.weighted = !!weightOf;
   }
 
-  // Choose seed nodes distributed over valid set: pick farthest-first
-  function pickSeeds(validSet, k){
-    const ids = Array.from(validSet);
-    if (!ids.length || k<=0) return [];
-    const nodes = Plan.nodes;
+  // Small pieces of the general network that a food court cuts off (plaza corners, short spurs) would
+  // each need their own zone to stay contiguous; hand them to the court they touch instead.
+  function foldCourtPockets(valid, zones, weight){
+    const courts = zones.filter(z=>z.kind === "foodCourt");
+    if (!courts.length) return;
+    for (const comp of poolComponents(valid)){
+      let load = 0;
+      for (const id of comp) load += weight(id);
+      if (load >= Settings.tilesPerHandyman / 2) continue;
+      const court = courts.find(z=>Array.from(comp).some(id=>Plan.edges[id].some(nb=>z.tiles.has(nb))));
+      if (!court) continue;
+      for (const id of comp){ court.tiles.add(id); valid.delete(id); }
+      court.centroid = centroidOfTiles(court.tiles);
+    }
+  }
 
-    const seeds = [];
-    // pick a random start
-    seeds.push(ids[randint(0, ids.length-1)]);
-    while(seeds.length < k){
-      let best=null, bestScore=-1;
-      for (const id of validSet){
-        // distance to nearest seed (Manhattan as heuristic)
-        let dmin = 1e9;
-        const n = nodes[id];
-        for (const s of seeds){
-          const ns = nodes[s];
-          const d = Math.abs(ns.x - n.x) + Math.abs(ns.y - n.y);
-          if (d < dmin) dmin = d;
+  // -----------------------------
+  // Gardens
+  // -----------------------------
+  // A handyman waters planted scenery and mows grass on the tiles next to the paths they patrol, so a
+  // garden counts as covered when a path beside it is in a zone whose handyman has that order.
+  // Flowerbeds are planted tiles joined 8-way; lawns are only counted, never zoned.
+  const GARDEN_MODES = ["In zones", "Dedicated gardeners"];
+
+  function* findGardens(){
+    const found = new Map(); // "x,y" -> garden tile, or null when there's nothing to tend
+    let i = 0;
+    for (const id of Plan.validNodeIds){
+      const n = Plan.nodes[id];
+      for (let dx=-1; dx<=1; dx++) for (let dy=-1; dy<=1; dy++){
+        if (!dx && !dy) continue;
+        const k = key(n.x+dx, n.y+dy);
+        if (!found.has(k)){
+          const kind = gardenKind(n.x+dx, n.y+dy);
+          found.set(k, kind ? { x: n.x+dx, y: n.y+dy, kind, reach: new Set() } : null);
         }
-        if (dmin > bestScore){ bestScore=dmin; best=id; }
+        const g = found.get(k);
+        if (g) g.reach.add(id);
       }
-      if (best!==null) seeds.push(best); else break;
+      if ((++i & 1023) === 0) yield i / Plan.validNodeIds.size;
     }
-    return seeds;
+    Plan.gardenTiles = Array.from(found.values()).filter(Boolean);
+    groupGardens();
   }
 
-  // Balanced flood fill from seeds up to target size
-  function balancedFlood(validSet, seeds, target){
-    const zones = seeds.map(()=> new Set());
-    const frontier = seeds.map(s=>[s]);
-    const claimed = new Map(); // nodeId -> zoneIndex
-
-    // claim seeds
-    for (let i=0;i<seeds.length;i++){
-      const s = seeds[i];
-      if (!validSet.has(s)) continue;
-      zones[i].add(s);
-      claimed.set(s,i);
-    }
-
-    while(true){
-      let progressed = false;
-      for (let i=0;i<zones.length;i++){
-        if (zones[i].size >= target) continue;
-        const wave = frontier[i];
-        const next = [];
-        while(wave.length && zones[i].size < target){
-          const v = wave.shift();
-          for (const nb of Plan.edges[v]){
-            if (!validSet.has(nb)) continue;
-            if (claimed.has(nb)) continue;
-            claimed.set(nb,i);
-            zones[i].add(nb);
-            next.push(nb);
-            progressed = true;
-            if (zones[i].size >= target) break;
-          }
-        }
-        frontier[i] = next;
-      }
-      if (!progressed) break;
-      // stop if every zone met target or no unclaimed
-      let allMet = true;
-      for (let i=0;i<zones.length;i++){
-        if (zones[i].size < target) { allMet=false; break; }
+  // Watch mode: only the garden tiles around paths that changed are read again; the rest keep their reach
+  function updateGardens(dirty, added, removed){
+    const byKey = new Map();
+    for (const g of Plan.gardenTiles) byKey.set(key(g.x, g.y), g);
+    const around = (id, fn)=>{
+      const n = Plan.nodes[id];
+      for (let dx=-1; dx<=1; dx++) for (let dy=-1; dy<=1; dy++) if (dx || dy) fn(n.x+dx, n.y+dy);
+    };
+    for (const id of removed) around(id, (x,y)=>{
+      const g = byKey.get(key(x,y));
+      if (g) g.reach.delete(id);
+    });
+    // a path built on a flowerbed clears it; one removed can leave grass behind
+    for (const [x,y] of dirty){
+      byKey.delete(key(x,y));
+      const kind = gardenKind(x,y);
+      if (!kind) continue;
+      const g = { x, y, kind, reach: new Set() };
+      for (let dx=-1; dx<=1; dx++) for (let dy=-1; dy<=1; dy++){
+        if (!dx && !dy) continue;
+        for (const id of nodesAt(x+dx, y+dy)) if (Plan.validNodeIds.has(id)) g.reach.add(id);
       }
-      if (allMet) break;
+      byKey.set(key(x,y), g);
     }
+    const checked = new Set();
+    for (const id of added) around(id, (x,y)=>{
+      const k = key(x,y);
+      if (!byKey.has(k) && !checked.has(k)){
+        checked.add(k);
+        const kind = gardenKind(x,y);
+        if (kind) byKey.set(k, { x, y, kind, reach: new Set() });
+      }
+      const g = byKey.get(k);
+      if (g) g.reach.add(id);
+    });
+    Plan.gardenTiles = Array.from(byKey.values()).filter(g=>g.reach.size);
+    groupGardens();
+  }
 
-    // Assign any remaining unclaimed to nearest zone by BFS
-    const remaining = Array.from(validSet).filter(id=>!claimed.has(id));
-    for (const id of remaining){
-      const z = nearestZoneIndex(id, zones);
-      if (z>=0) zones[z].add(id);
+  // Flowerbeds: planted garden tiles joined 8-way
+  function groupGardens(){
+    const planted = new Map();
+    for (const g of Plan.gardenTiles) if (g.kind === "planted") planted.set(key(g.x, g.y), g);
+    const seen = new Set();
+    Plan.gardens = [];
+    for (const [k0, g0] of planted){
+      if (seen.has(k0)) continue;
+      seen.add(k0);
+      const bed = { name: `Garden ${Plan.gardens.length+1}`, tiles: [], reach: new Set() };
+      const stack = [g0];
+      while (stack.length){
+        const g = stack.pop();
+        bed.tiles.push({ x: g.x, y: g.y });
+        for (const id of g.reach) bed.reach.add(id);
+        for (let dx=-1; dx<=1; dx++) for (let dy=-1; dy<=1; dy++){
+          const k = key(g.x+dx, g.y+dy);
+          if (planted.has(k) && !seen.has(k)){ seen.add(k); stack.push(planted.get(k)); }
+        }
+      }
+      bed.centre = {
+        x: Math.round(bed.tiles.reduce((a,t)=>a+t.x, 0) / bed.tiles.length),
+        y: Math.round(bed.tiles.reduce((a,t)=>a+t.y, 0) / bed.tiles.length)
+      };
+      Plan.gardens.push(bed);
     }
+  }
 
-    return zones;
+  // "planted" (flowers, shrubs to water), "grass" (lawn to mow) or null
+  function gardenKind(x,y){
+    const els = tileElements(x,y);
+    if (els.some(isGardenScenery)) return "planted";
+    if (Scan.tiles) return Scan.lawns && Scan.lawns.has(key(x,y)) ? "grass" : null;
+    return isLawn(els) ? "grass" : null;
   }
 
-  function nearestZoneIndex(id, zones){
-    // choose the zone whose centroid is closest
-    if (!zones.length) return -1;
-    const n = Plan.nodes[id];
-    let best=-1, bestd=1e9;
-    for (let i=0;i<zones.length;i++){
-      if (zones[i].size===0) continue;
-      const c = centroidOfTiles(zones[i]);
-      const d = Math.abs(c.x - n.x) + Math.abs(c.y - n.y);
-      if (d<bestd){ bestd=d; best=i; }
+  // Bare, park-owned grass: nothing on the tile but its surface, and the surface is a grass style
+  function isLawn(elements){
+    let surface = null;
+    for (const el of elements){
+      if (String(el.type||"") !== "surface") return false;
+      surface = el;
     }
-    return best;
+    if (!surface || safe(()=>surface.hasOwnership, true) === false) return false;
+    let style = safe(()=>surface.surfaceStyle, undefined);
+    if (typeof style !== "number") style = safe(()=>surface.surfaceObject, undefined);
+    if (typeof style !== "number") return false;
+    const obj = safe(()=>objectManager.getObject("terrain_surface", style), null);
+    if (obj && (obj.identifier || obj.name)) return /grass/.test(`${obj.identifier || ""} ${obj.name || ""}`.toLowerCase());
+    return style === 0; // grass is the first terrain style
   }
 
-  function centroidOfTiles(set){
-    let sx=0, sy=0, c=0;
-    for (const id of set){ const n=Plan.nodes[id]; sx+=n.x; sy+=n.y; c++; }
-    return { x: Math.round(sx/c), y: Math.round(sy/c) };
+  // Path nodes next to garden tiles of a kind
+  function gardenReach(kind){
+    const out = new Set();
+    for (const g of Plan.gardenTiles) if (g.kind === kind) for (const id of g.reach) out.add(id);
+    return out;
   }
 
-  // Attach any leaf chains left out to nearest zone (allow tiny overlap at junction)
-  function rescueDeadEnds(zones){
-    const valid = new Set();
-    for (const z of zones) for (const t of z.tiles) valid.add(t);
-
-    const deg = new Map();
-    for (const id of valid){
-      let d=0; for (const nb of Plan.edges[id]) if (valid.has(nb)) d++; deg.set(id,d);
-    }
-    const leaves = Array.from(valid).filter(id=>deg.get(id)<=1);
-
-    for (const leaf of leaves){
-      // Ensure it belongs to some zone; if not, attach it to the nearest zone at junction
-      if (!zones.some(z=>z.tiles.has(leaf))){
-        // pick neighbour that is in a zone
-        let choice=-1, zIndex=-1;
-        for (const nb of Plan.edges[leaf]){
-          for (let zi=0; zi<zones.length; zi++){
-            if (zones[zi].tiles.has(nb)){ choice=nb; zIndex=zi; break; }
-          }
-          if (choice>=0) break;
-        }
-        if (zIndex>=0){
-          zones[zIndex].tiles.add(leaf);
-        }
+  // Dedicated gardener zones: the paths along the flowerbeds, beds grouped around the ones farthest
+  // apart so that each gardener gets about gardenTilesPerGardener planted tiles
+  function gardenerZones(spare){
+    const beds = Plan.gardens;
+    if (!beds.length) return [];
+    const planted = beds.reduce((a,b)=>a+b.tiles.length, 0);
+    let k = Math.min(beds.length, Math.ceil(planted / Settings.gardenTilesPerGardener));
+    if (Settings.staffInsufficient === "Assign only existing") k = Math.min(k, Math.max(0, spare));
+    else k = budgetCap("handyman", k, Math.max(0, spare));
+    if (k <= 0) return [];
+    const dist = (a,b)=>Math.abs(a.centre.x-b.centre.x) + Math.abs(a.centre.y-b.centre.y);
+    const seeds = [beds.reduce((a,b)=>b.tiles.length > a.tiles.length ? b : a)];
+    while (seeds.length < k){
+      let best = null, far = -1;
+      for (const b of beds){
+        const d = Math.min.apply(null, seeds.map(s=>dist(s,b)));
+        if (d > far){ far = d; best = b; }
       }
+      seeds.push(best);
     }
+    const groups = seeds.map(()=>new Set());
+    for (const b of beds){
+      let gi = 0;
+      seeds.forEach((s,i)=>{ if (dist(s,b) < dist(seeds[gi],b)) gi = i; });
+      for (const id of b.reach) groups[gi].add(id);
+    }
+    return groups.filter(g=>g.size);
+  }
+
+  // Garden tiles of a kind next to a zone whose handyman has the order bit (locked staff: their own orders)
+  function gardenTended(kind, bit){
+    const near = new Set();
+    for (const z of Plan.handymanZones){
+      let orders = zoneOrders(z);
+      if (orders === null){
+        const s = findStaffById(z.staffId);
+        orders = s ? safe(()=>s.orders, 15) : 15;
+      }
+      if (orders & bit) for (const id of z.tiles) near.add(id);
+    }
+    let tiles = 0, tended = 0;
+    for (const g of Plan.gardenTiles){
+      if (g.kind !== kind) continue;
+      tiles++;
+      for (const id of g.reach) if (near.has(id)){ tended++; break; }
+    }
+    return { tiles, tended, near };
   }
 
   // -----------------------------
-  // Mechanic Routes (distance-aware)
-  // -----------------------------
-  function buildMechanicRoutes(){
-    const exits = [];
-    const w = map.size.x, h = map.size.y;
+  // Zone partitioning (k-way, contiguous, balanced)
+  // -----------------------------
+  // Splits a pool of path nodes into k contiguous zones of roughly equal load. Seeds are spread by path
+  // distance (or placed at traffic hubs), zones grow lightest-first from them, then boundary moves
+  // restore the balance tolerance and shorten zone borders without ever disconnecting a zone.
+  // seedPool optionally limits where seeds may go (guard hotspots).
+  function* partitionZones(pool, k, weightOf, seedPool){
+    const weight = weightOf || (()=>1);
+    const { comps, islands } = splitIslands(poolComponents(pool), k, weight);
+    const counts = allocateZones(comps, k, weight);
+    const zones = [];
+    for (let i=0; i<comps.length; i++){
+      for (const z of yield* partitionComponent(comps[i], counts[i], weight, seedPool)) zones.push(z);
+    }
+    for (const island of islands){
+      const c = centroidOfTiles(island);
+      let best = zones[0], bestd = Infinity;
+      for (const z of zones) for (const t of z){
+        const d = Math.abs(Plan.nodes[t].x - c.x) + Math.abs(Plan.nodes[t].y - c.y);
+        if (d < bestd){ bestd = d; best = z; }
+      }
+      for (const t of island) best.add(t);
+      yield;
+    }
+    return zones;
+  }
 
-    for (let x=0;x<w;x++){
-      for (let y=0;y<h;y++){
-        const tile = map.getTile(x,y);
-        for (const el of tile.elements){
-          if (String(el.type||"") === "rideExit"){
-            const nid = Plan.idByXY.get(key(x,y));
-            if (nid === undefined || !Plan.validNodeIds.has(nid)) continue;
-            exits.push({ nodeId:nid, x,y, rideId: el.ride, rideName: safe(()=>map.rides[el.ride].name, "Ride "+el.ride) });
-          }
+  // Components too light for a zone of their own (under MIN_ZONE_SHARE of an average zone, or past the
+  // k heaviest) are islands: they join the nearest zone instead of taking a member of staff each
+  const MIN_ZONE_SHARE = 0.25;
+  function splitIslands(all, k, weight){
+    const loads = all.map(c=>{ let l=0; for (const id of c) l += weight(id); return l; });
+    const share = loads.reduce((a,b)=>a+b, 0) / Math.max(1, k);
+    const rank = new Map(all.map((_,i)=>i).sort((a,b)=>loads[b] - loads[a]).map((i,r)=>[i, r]));
+    const comps = [], islands = [];
+    all.forEach((c,i)=>{
+      const r = rank.get(i);
+      if (r === 0 || (r < k && loads[i] >= MIN_ZONE_SHARE * share)) comps.push(c);
+      else islands.push(c);
+    });
+    return { comps, islands };
+  }
+
+  // Connected pieces of the pool (links outside the pool don't count)
+  function poolComponents(pool){
+    const seen = new Set();
+    const comps = [];
+    for (const start of pool){
+      if (seen.has(start)) continue;
+      const comp = new Set([start]);
+      const q = [start];
+      seen.add(start);
+      for (let h=0; h<q.length; h++){
+        for (const nb of Plan.edges[q[h]]){
+          if (!pool.has(nb) || seen.has(nb)) continue;
+          seen.add(nb); comp.add(nb); q.push(nb);
         }
       }
+      comps.push(comp);
     }
-    Plan.mechExits = exits;
+    return comps;
+  }
 
-    // Distance matrix (BFS over path graph for each exit)
-    const dist = [];
-    const paths = [];
-    for (let i=0;i<exits.length;i++){
-      const a = exits[i].nodeId;
-      const d = bfsDistances(a);
-      dist[i] = [];
-      paths[i] = [];
-      for (let j=0;j<exits.length;j++){
-        const b = exits[j].nodeId;
-        const dj = d.dist[b] || 1e9;
-        dist[i][j] = dj;
-        paths[i][j] = d.prev; // we will reconstruct later using prev map
-      }
-    }
-
-    // Cluster exits per preset limits
-    const clusters = [];
-    const unassigned = new Set(exits.map((_,i)=>i));
-
-    while (unassigned.size){
-      // pick a seed
-      const seedIndex = unassigned.values().next().value;
-      unassigned.delete(seedIndex);
-
-      let current = [seedIndex];
-      // Greedily add nearest exits while respecting caps
-      while (current.length < Settings.mechMaxExits){
-        // find nearest candidate that keeps diameter & MST length under caps
-        let best=null, bestd=1e9;
-        for (const idx of unassigned){
-          // compute diameter if added (max dist among exits in set∪{idx})
-          const dia = diameterWith(current, idx, dist);
-          if (dia > Settings.mechDiameterCap) continue;
-          // quick MST approx: connect to nearest in current
-          let nd=1e9;
-          for (const c of current) nd = Math.min(nd, dist[idx][c]);
-          if (nd < bestd){ bestd=nd; best=idx; }
+  // Zones per component, proportional to load; every component gets one so zones stay contiguous (islands aside)
+  function allocateZones(comps, k, weight){
+    const loads = comps.map(c=>{ let l=0; for (const id of c) l += weight(id); return l; });
+    const total = loads.reduce((a,b)=>a+b, 0) || 1;
+    const counts = comps.map((c,i)=>clamp(Math.round(k * loads[i] / total), 1, c.size));
+    const want = Math.max(k, comps.length);
+    let sum = counts.reduce((a,b)=>a+b, 0);
+    while (sum !== want){
+      // grow the component with the heaviest zones, or shrink the one with the lightest
+      let best = -1;
+      for (let i=0; i<comps.length; i++){
+        if (sum < want ? counts[i] >= comps[i].size : counts[i] <= 1) continue;
+        const per = loads[i] / counts[i];
+        if (best < 0 || (sum < want ? per > loads[best]/counts[best] : per < loads[best]/counts[best])) best = i;
+      }
+      if (best < 0) break;
+      counts[best] += sum < want ? 1 : -1;
+      sum += sum < want ? 1 : -1;
+    }
+    return counts;
+  }
+
+  function* partitionComponent(comp, n, weight, seedPool){
+    if (n <= 1) return [new Set(comp)];
+    const hub = seedPool ? null : trafficHubFn();
+    const seeds = hub ? yield* pickHubSeeds(comp, n, hub) : yield* spreadSeeds(comp, n, seedPool);
+
+    // Lightest zone claims its next frontier node until the component is covered
+    const owner = new Map();
+    const zones = seeds.map(()=>new Set());
+    const loads = seeds.map(()=>0);
+    const frontier = seeds.map(s=>({ q:[s], h:0 }));
+    let left = comp.size;
+    while (left > 0){
+      let i = -1;
+      for (let j=0; j<zones.length; j++){
+        const f = frontier[j];
+        while (f.h < f.q.length && owner.has(f.q[f.h])) f.h++;
+        if (f.h < f.q.length && (i < 0 || loads[j] < loads[i])) i = j;
+      }
+      if (i < 0) break;
+      const v = frontier[i].q[frontier[i].h++];
+      owner.set(v, i); zones[i].add(v); loads[i] += weight(v); left--;
+      for (const nb of Plan.edges[v]) if (comp.has(nb) && !owner.has(nb)) frontier[i].q.push(nb);
+      if ((left & 255) === 0) yield;
+    }
+
+    yield* refinePartition(comp, zones, owner, loads, weight);
+    return zones.filter(z=>z.size);
+  }
+
+  // Farthest-first by path distance, starting from the component's periphery (deterministic)
+  function* spreadSeeds(comp, n, seedPool){
+    let candidates = seedPool ? Array.from(comp).filter(id=>seedPool.has(id)) : [];
+    if (!candidates.length) candidates = Array.from(comp);
+    const dmin = new Map();
+    function* relax(src){
+      const d = yield* poolDistances(src, comp);
+      for (const [id, dv] of d) if (!dmin.has(id) || dv < dmin.get(id)) dmin.set(id, dv);
+    }
+    const probe = yield* poolDistances(candidates[0], comp);
+    let first = candidates[0];
+    for (const id of candidates) if ((probe.get(id)||0) > (probe.get(first)||0)) first = id;
+    const seeds = [first];
+    yield* relax(first);
+    while (seeds.length < n){
+      let best = null;
+      for (const id of candidates){
+        if (seeds.indexOf(id) >= 0) continue;
+        if (best === null || dmin.get(id) > dmin.get(best)) best = id;
+      }
+      if (best === null) break;
+      seeds.push(best);
+      yield* relax(best);
+    }
+    return seeds;
+  }
+
+  // BFS distances inside a node set
+  function* poolDistances(src, set){
+    const d = new Map([[src, 0]]);
+    const q = [src];
+    for (let h=0; h<q.length; h++){
+      if ((h & 1023) === 1023) yield;
+      const v = q[h];
+      for (const nb of Plan.edges[v]){
+        if (!set.has(nb) || d.has(nb)) continue;
+        d.set(nb, d.get(v) + 1);
+        q.push(nb);
+      }
+    }
+    return d;
+  }
+
+  // Boundary moves: overloaded zones shed border nodes to lighter neighbours, and any move that cuts
+  // zone borders (or evens loads at no cost) is taken. A move never empties or splits a zone.
+  function* refinePartition(comp, zones, owner, loads, weight){
+    const total = loads.reduce((a,b)=>a+b, 0);
+    const upper = total / zones.length * (1 + Settings.zoneBalanceTolerance / 100);
+    let steps = 0;
+    for (let pass=0; pass<12; pass++){
+      let moved = 0;
+      for (const v of comp){
+        if ((++steps & 63) === 0) yield;
+        const a = owner.get(v);
+        const links = new Map();
+        for (const nb of Plan.edges[v]) if (owner.has(nb)) links.set(owner.get(nb), (links.get(owner.get(nb))||0) + 1);
+        if (links.size < 2 && links.has(a)) continue; // interior node
+        const wv = weight(v);
+        let best = -1, bestGain = -1e9;
+        for (const [b, lb] of links){
+          if (b === a) continue;
+          const gain = lb - (links.get(a)||0);
+          const evens = loads[b] + wv < loads[a];
+          let ok;
+          if (loads[a] > upper) ok = evens && gain >= -1;
+          else ok = loads[b] + wv <= upper && (gain > 0 || (gain === 0 && evens));
+          if (ok && (gain > bestGain || (gain === bestGain && loads[b] < loads[best]))){ best = b; bestGain = gain; }
+        }
+        if (best < 0 || zones[a].size <= 1 || !staysConnected(zones[a], v)) continue;
+        zones[a].delete(v); zones[best].add(v); owner.set(v, best);
+        loads[a] -= wv; loads[best] += wv;
+        moved++;
+      }
+      if (!moved) break;
+    }
+  }
+
+  // Would the zone stay in one piece without node v?
+  function staysConnected(zone, v){
+    const inside = Plan.edges[v].filter(nb=>zone.has(nb));
+    if (inside.length <= 1) return true;
+    const want = new Set(inside.slice(1));
+    const seen = new Set([v, inside[0]]);
+    const q = [inside[0]];
+    for (let h=0; h<q.length && want.size; h++){
+      for (const nb of Plan.edges[q[h]]){
+        if (!zone.has(nb) || seen.has(nb)) continue;
+        seen.add(nb); want.delete(nb); q.push(nb);
+      }
+    }
+    return want.size === 0;
+  }
+
+  // Traffic hubs: hottest tile first, then the hottest tile roughly a zone radius away from every seed
+  function* pickHubSeeds(validSet, k, hub){
+    const nodes = Plan.nodes;
+    const spacing = Math.max(2, Math.sqrt(validSet.size / k));
+    let maxHub = 0;
+    for (const id of validSet) maxHub = Math.max(maxHub, hub(id));
+    const seeds = [];
+    while (seeds.length < k){
+      let best=null, bestScore=-1;
+      for (const id of validSet){
+        const n = nodes[id];
+        let dmin = seeds.length ? 1e9 : spacing;
+        for (const s of seeds){
+          const d = Math.abs(nodes[s].x - n.x) + Math.abs(nodes[s].y - n.y);
+          if (d < dmin) dmin = d;
         }
-        if (best===null) break;
-        current.push(best);
-        unassigned.delete(best);
-        // rough MST length check: sum of nearest links from each node to current (Prim-like)
-        if (mstLengthApprox(current, dist) > Settings.mechMstCap){
-          // undo last
-          current.pop();
-          unassigned.add(best);
-          break;
+        if (dmin === 0) continue;
+        // cold tiles still win on distance once the hubs are used up
+        const score = (hub(id) / (maxHub||1)) * Math.min(dmin, spacing) + dmin * 1e-3;
+        if (score > bestScore){ bestScore=score; best=id; }
+      }
+      if (best!==null) seeds.push(best); else break;
+      yield;
+    }
+    return seeds;
+  }
+
+  function centroidOfTiles(set){
+    let sx=0, sy=0, c=0;
+    for (const id of set){ const n=Plan.nodes[id]; sx+=n.x; sy+=n.y; c++; }
+    return { x: Math.round(sx/c), y: Math.round(sy/c) };
+  }
+
+  // Attach any leaf chains left out to nearest zone (allow tiny overlap at junction)
+  function rescueDeadEnds(zones){
+    const valid = new Set();
+    for (const z of zones) for (const t of z.tiles) valid.add(t);
+
+    const deg = new Map();
+    for (const id of valid){
+      let d=0; for (const nb of Plan.edges[id]) if (valid.has(nb)) d++; deg.set(id,d);
+    }
+    const leaves = Array.from(valid).filter(id=>deg.get(id)<=1);
+
+    for (const leaf of leaves){
+      // Ensure it belongs to some zone; if not, attach it to the nearest zone at junction
+      if (!zones.some(z=>z.tiles.has(leaf))){
+        // pick neighbour that is in a zone
+        let choice=-1, zIndex=-1;
+        for (const nb of Plan.edges[leaf]){
+          for (let zi=0; zi<zones.length; zi++){
+            if (zones[zi].tiles.has(nb)){ choice=nb; zIndex=zi; break; }
+          }
+          if (choice>=0) break;
+        }
+        if (zIndex>=0){
+          zones[zIndex].tiles.add(leaf);
         }
       }
-      clusters.push(current);
     }
+  }
+
+  // -----------------------------
+  // Mechanic Routes (distance-aware)
+  // -----------------------------
+  function* buildMechanicRoutes(){
+    // Path tiles a ride exit opens onto (the tile its direction points at), in map order
+    const facing = new Map();
+    for (const { x, y, el } of entranceElements()){
+      if (String(el.type||"") !== "rideExit") continue;
+      const d = DIR_DELTA[(el.direction || 0) & 3];
+      facing.set(key(x + d[0], y + d[1]), [x + d[0], y + d[1]]);
+    }
+    const exits = [];
+    const spots = Array.from(facing.values()).sort((a,b)=>a[0] - b[0] || a[1] - b[1]);
+    for (const [x,y] of spots){
+      for (const ex of scanRideExitsAt(x,y)) exits.push(ex);
+    }
+    Plan.mechExits = exits;
+    assignExitRisk();
+    yield;
+
+    // Exits inside a locked mechanic's patrol stay with that mechanic
+    const lockedClusters = [];
+    const taken = new Set();
+    for (const lp of lockedPatrols(getAllMechanics())){
+      const mine = exits.map((e,i)=>i).filter(i=>!taken.has(i) && lp.tiles.has(exits[i].nodeId));
+      for (const i of mine) taken.add(i);
+      if (mine.length) lockedClusters.push({ exits: mine, tiles: lp.tiles, routes: [], risk: clusterRisk(mine), locked: true, staffId: lp.staff.id });
+    }
+    const free = exits.map((_,i)=>i).filter(i=>!taken.has(i));
+
+    // Distance matrix (BFS over path graph for each exit)
+    const dist = yield* exitDistances(free);
+
+    // Cluster exits globally under every cap at once; when the budget can't pay for that many mechanics,
+    // cluster again into as many routes as it can pay for (stretched past the caps)
+    let clusters = yield* clusterExits(free, dist);
+    const staffable = budgetCap("mechanic", clusters.length, unlockedStaff(getAllMechanics()).length);
+    if (staffable > 0 && staffable < clusters.length) clusters = yield* clusterExits(free, dist, staffable);
 
     // Build tile routes: MST over cluster exits
     const mechClusters = [];
     for (const c of clusters){
       if (!c.length) continue;
-      // Build MST edges (Prim) using dist
-      const used = new Set([c[0]]);
-      const edgesC = [];
-      while (used.size < c.length){
-        let best = null, bestw=1e9, bestU=-1, bestV=-1;
-        for (const u of used){
-          for (const v of c){
-            if (used.has(v)) continue;
-            const w = dist[u][v];
-            if (w < bestw){ bestw=w; best={u,v}; bestU=u; bestV=v; }
-          }
+      mechClusters.push(yield* buildClusterRoute(c, dist));
+      yield mechClusters.length / clusters.length;
+    }
+    for (const lc of lockedClusters) mechClusters.push(lc);
+
+    Plan.mechClusters = mechClusters;
+  }
+
+  // Ride exits opening onto a valid path tile at x,y (the exit itself stands on the neighbouring tile)
+  function scanRideExitsAt(x,y){
+    const found = [];
+    for (const nid of nodesAt(x,y)){
+      if (!Plan.validNodeIds.has(nid)) continue;
+      for (const f of facingEntrances(x, y, Plan.nodes[nid])){
+        if (f.type !== "rideExit") continue;
+        found.push({ nodeId:nid, x,y, z: f.el.baseZ || 0, rideId: f.el.ride, rideName: safe(()=>map.rides[f.el.ride].name, "Ride "+f.el.ride) });
+      }
+    }
+    return found;
+  }
+
+  // Orthogonal path neighbours at the same height that aren't joined; usually a build mistake
+  function* unconnectedPairs(){
+    const pairs = [];
+    for (const n of Plan.nodes){
+      if ((n.id & 1023) === 1023) yield;
+      if (n.removed || n.queue) continue;
+      for (const dir of [1, 2]){ // each pair once
+        const h = edgeHeight(n, dir);
+        if (h === null) continue;
+        for (const id2 of nodesAt(n.x + DIR_DELTA[dir][0], n.y + DIR_DELTA[dir][1])){
+          const n2 = Plan.nodes[id2];
+          if (n2.queue || edgeHeight(n2, (dir + 2) & 3) !== h) continue;
+          if (Plan.edges[n.id].indexOf(id2) < 0) pairs.push([n, n2]);
+        }
+      }
+    }
+    return pairs;
+  }
+
+  // Path distances between the given exits (indexes into Plan.mechExits); sparse rows for subsets
+  function* exitDistances(indexes){
+    const exits = Plan.mechExits;
+    const dist = [];
+    for (const i of indexes){
+      const d = yield* bfsSearch(exits[i].nodeId);
+      dist[i] = [];
+      for (const j of indexes){
+        const dj = exits[j].nodeId >= 0 ? d.dist[exits[j].nodeId] : -1;
+        dist[i][j] = dj < 0 ? 1e9 : dj;
+      }
+    }
+    return dist;
+  }
+
+  // Route tree over a cluster's exits, expanded to the tile paths that join them. It grows from the
+  // centre, the exit with the least risk-weighted path distance to the others, where the mechanic starts.
+  // Each exit then joins where its link plus the way back to the centre (scaled by its risk against the
+  // riskiest ride's) is shortest: risky rides hang close to the centre, safe ones join like an MST.
+  function* buildClusterRoute(c, dist){
+    const exits = Plan.mechExits;
+    const risk = i=>exits[i].risk || 0;
+    let centre = c[0], least = Infinity;
+    for (const u of c){
+      let cost = 0;
+      for (const v of c) if (v !== u) cost += risk(v) * dist[u][v];
+      if (cost < least){ least = cost; centre = u; }
+    }
+    const top = Math.max.apply(null, c.map(risk)) || 1;
+    c = [centre].concat(c.filter(i=>i !== centre).sort((a,b)=>risk(b) - risk(a)));
+    const depth = new Map([[centre, 0]]); // path length back to the centre along the tree
+    const edgesC = [];
+    while (depth.size < c.length){
+      yield;
+      let bestw=1e9, bestU=-1, bestV=-1;
+      for (const [u, du] of depth){
+        for (const v of c){
+          if (depth.has(v) || dist[u][v] >= 1e9) continue;
+          const w = dist[u][v] + du * risk(v) / top;
+          if (w < bestw){ bestw=w; bestU=u; bestV=v; }
+        }
+      }
+      if (bestV < 0) break;
+      depth.set(bestV, depth.get(bestU) + dist[bestU][bestV]);
+      edgesC.push([bestU, bestV]);
+    }
+    // Convert edges to tile paths
+    const routeTiles = new Set();
+    const routes = [];
+    for (const id of c) if (exits[id].nodeId >= 0) routeTiles.add(exits[id].nodeId);
+    for (const [u,v] of edgesC){
+      const sp = yield* shortestPath(exits[u].nodeId, exits[v].nodeId);
+      for (const id of sp) routeTiles.add(id);
+      routes.push({ from:u, to:v, pathIds: sp });
+    }
+    return { exits:c, tiles: routeTiles, routes, risk: clusterRisk(c) };
+  }
+
+  // Expected breakdown load of a ride: 1 for a new, reliable ride, up to ~7 for an old wreck
+  function rideRisk(rideId){
+    const r = safe(()=>map.getRide(rideId), null);
+    if (!r) return 1;
+    let rel = safe(()=>r.reliability, 100);
+    if (rel > 100) rel = rel / 655.35; // raw 0..65535 on some builds
+    let unrel = 1 - clamp(rel, 0, 100) / 100;
+    const chance = safe(()=>r.breakdownChance, null);
+    if (typeof chance === "number") unrel = Math.max(unrel, clamp(chance, 0, 100) / 100);
+    const downtime = clamp(safe(()=>r.downtime, 0) || 0, 0, 100);
+    const years = (safe(()=>r.age, 0) || 0) / 12;
+    return Math.round((1 + 3*unrel + 2*downtime/100 + Math.min(years, 20)/10) * 10) / 10;
+  }
+
+  // Share each ride's risk across its exits, so two-exit rides don't count double
+  function assignExitRisk(){
+    const perRide = new Map();
+    for (const e of Plan.mechExits) perRide.set(e.rideId, (perRide.get(e.rideId)||0) + 1);
+    const risk = new Map();
+    for (const e of Plan.mechExits){
+      if (!risk.has(e.rideId)) risk.set(e.rideId, rideRisk(e.rideId));
+      e.risk = Math.round(risk.get(e.rideId) / perRide.get(e.rideId) * 10) / 10;
+    }
+  }
+
+  function clusterRisk(c){
+    return Math.round(c.reduce((a,i)=>a + (Plan.mechExits[i].risk||0), 0) * 10) / 10;
+  }
+
+  // -----------------------------
+  // Mechanic clustering (capacitated)
+  // -----------------------------
+  // Start from one cluster per exit and keep merging the pair joined by the shortest link whose union
+  // still meets every cap (exits, diameter, MST length, breakdown risk): each merge saves a mechanic and
+  // the cheapest links keep routes short. Then single-exit moves between clusters shorten routes further
+  // or empty a cluster entirely. No dependence on scan order. With a limit, merging goes on past the
+  // caps (closest pair first, even unreachable ones) until there are no more clusters than that.
+  function* clusterExits(indexes, dist, limit){
+    const clusters = indexes.map(i=>[i]);
+    let relaxed = false;
+    while (true){
+      let best = null, bestLink = relaxed ? Infinity : 1e9;
+      for (let a=0; a<clusters.length; a++){
+        yield;
+        for (let b=a+1; b<clusters.length; b++){
+          let link = 1e9;
+          for (const u of clusters[a]) for (const v of clusters[b]) link = Math.min(link, dist[u][v]);
+          if (link >= bestLink) continue;
+          if (relaxed || fitsCaps(clusters[a].concat(clusters[b]), dist)){ best = [a, b]; bestLink = link; }
         }
-        if (!best) break;
-        used.add(bestV);
-        edgesC.push([bestU, bestV]);
       }
-      // Convert edges to tile paths
-      const routeTiles = new Set();
-      const routes = [];
-      for (const [u,v] of edgesC){
-        const sp = shortestPathBetween(exits[u].nodeId, exits[v].nodeId);
-        for (const id of sp) routeTiles.add(id);
-        routes.push({ from:u, to:v, pathIds: sp });
+      if (!best){
+        if (relaxed || !limit || clusters.length <= limit) break;
+        relaxed = true;
+        continue;
       }
-      mechClusters.push({ exits:c.slice(), tiles: routeTiles, routes });
+      clusters[best[0]] = clusters[best[0]].concat(clusters[best[1]]);
+      clusters.splice(best[1], 1);
+      if (relaxed && clusters.length <= limit) break;
     }
+    yield* improveClusters(clusters, dist);
+    return clusters;
+  }
 
-    Plan.mechClusters = mechClusters;
+  // Every cap at once; a lone exit always fits except for the risk cap (warned about in the KPIs)
+  function fitsCaps(c, dist){
+    if (c.length > Settings.mechMaxExits) return false;
+    if (c.length > 1 && clusterRisk(c) > Settings.mechRiskCap) return false;
+    for (let i=0; i<c.length; i++) for (let j=i+1; j<c.length; j++) if (dist[c[i]][c[j]] > Settings.mechDiameterCap) return false;
+    return mstLengthApprox(c, dist) <= Settings.mechMstCap;
   }
 
-  function diameterWith(arr, idx, dist){
-    let dia=0;
-    const set = arr.concat([idx]);
-    for (let i=0;i<set.length;i++){
-      for (let j=i+1;j<set.length;j++){
-        dia = Math.max(dia, dist[set[i]][set[j]]);
+  // Move single exits to a neighbouring cluster when that empties a cluster or shortens total MST length
+  function* improveClusters(clusters, dist){
+    const mst = (c)=>c.length ? mstLengthApprox(c, dist) : 0;
+    for (let pass=0; pass<20; pass++){
+      let moved = false;
+      for (let a=0; a<clusters.length; a++){
+        for (const e of clusters[a].slice()){
+          yield;
+          const from = clusters[a].filter(x=>x !== e);
+          if (from.length && !fitsCaps(from, dist)) continue; // dropping a middle exit can stretch the rest
+          const saved = mst(clusters[a]) - mst(from);
+          let best = -1, bestGain = 0;
+          for (let b=0; b<clusters.length; b++){
+            if (b === a || !clusters[b].some(x=>dist[e][x] <= Settings.mechDiameterCap)) continue;
+            const to = clusters[b].concat([e]);
+            if (!fitsCaps(to, dist)) continue;
+            const gain = saved - (mst(to) - mst(clusters[b])) + (from.length ? 0 : 1e6);
+            if (gain > bestGain){ bestGain = gain; best = b; }
+          }
+          if (best < 0) continue;
+          clusters[best].push(e);
+          clusters[a] = from;
+          moved = true;
+          if (!from.length) break;
+        }
       }
+      for (let i=clusters.length-1; i>=0; i--) if (!clusters[i].length) clusters.splice(i, 1);
+      if (!moved) break;
+    }
+  }
+
+  // Why a lone exit has its own mechanic, or null if it could share with some other exit
+  function* loneExitReason(ei){
+    const exits = Plan.mechExits;
+    const e = exits[ei];
+    if (e.nodeId < 0 || exits.length < 2) return null;
+    if (e.risk > Settings.mechRiskCap) return null; // the risk-cap warning covers it
+    const d = (yield* bfsSearch(e.nodeId)).dist;
+    let nearest = 1e9;
+    for (let j=0; j<exits.length; j++){
+      if (j === ei || exits[j].nodeId < 0) continue;
+      const dj = d[exits[j].nodeId];
+      if (dj < 0) continue;
+      nearest = Math.min(nearest, dj);
+      if (dj <= Settings.mechDiameterCap && dj <= Settings.mechMstCap && e.risk + exits[j].risk <= Settings.mechRiskCap) return "every cluster it could join is already at its caps";
     }
-    return dia;
+    return nearest >= 1e9 ? "no other exit is reachable over paths"
+      : `no other exit fits the caps with it (nearest is ${nearest} tiles away)`;
   }
 
   function mstLengthApprox(list, dist){
@@ -903,248 +2129,2594 @@
     return length;
   }
 
-  function bfsDistances(startId){
-    const dist = {};
-    const prev = {};
-    const q=[startId];
-    dist[startId]=0;
-    while(q.length){
-      const v=q.shift();
-      for (const nb of Plan.edges[v]){
-        if (!Plan.validNodeIds.has(nb)) continue;
-        if (dist[nb] !== undefined) continue;
-        dist[nb] = dist[v]+1;
-        prev[nb] = v;
-        q.push(nb);
+  // Path distance and predecessor of every node from startId (-1 = unreachable). While a plan is being
+  // built the result is kept, so exit distances, route paths and the lone-exit check share one BFS per exit.
+  const BfsCache = new Map();
+  const BFS_CACHE_CELLS = 4000000; // nodes x cached starts (~32 MB)
+
+  function* bfsSearch(startId){
+    const hit = BfsCache.get(startId);
+    if (hit) return hit;
+    const size = Plan.nodes.length;
+    const dist = new Int32Array(size).fill(-1);
+    const prev = new Int32Array(size).fill(-1);
+    if (startId >= 0 && startId < size){
+      const q = [startId];
+      dist[startId] = 0;
+      for (let h=0; h<q.length; h++){
+        if ((h & 1023) === 1023) yield;
+        const v = q[h];
+        for (const nb of Plan.edges[v]){
+          if (!Plan.validNodeIds.has(nb) || dist[nb] >= 0) continue;
+          dist[nb] = dist[v] + 1;
+          prev[nb] = v;
+          q.push(nb);
+        }
       }
     }
-    return {dist, prev};
+    const result = { dist, prev };
+    if (Job.steps){
+      while (BfsCache.size && (BfsCache.size + 1) * size > BFS_CACHE_CELLS) BfsCache.delete(BfsCache.keys().next().value);
+      BfsCache.set(startId, result);
+    }
+    return result;
   }
 
-  function shortestPathBetween(a,b){
-    const d = bfsDistances(a);
-    if (d.dist[b] === undefined) return [];
-    const path = [b];
-    let cur = b;
-    while (cur !== a){
+  // Walk back from whichever end already has a cached BFS
+  function* shortestPath(a,b){
+    if (a < 0 || b < 0) return [];
+    const fromB = !BfsCache.has(a) && BfsCache.has(b);
+    const src = fromB ? b : a, dst = fromB ? a : b;
+    const d = yield* bfsSearch(src);
+    if (d.dist[dst] < 0) return [];
+    const path = [dst];
+    let cur = dst;
+    while (cur !== src){
       cur = d.prev[cur];
-      if (cur === undefined) break;
+      if (cur < 0) break;
       path.push(cur);
     }
-    return path.reverse();
+    return fromB ? path : path.reverse();
   }
 
   // -----------------------------
-  // KPIs & Status
+  // Mess sampling (litter & vomit per tile)
   // -----------------------------
-  function computeKpis(){
-    Plan.built = true;
-    // Handymen tiles
-    let covered = 0;
-    let loads = [];
-    for (const z of Plan.handymanZones){
-      covered += z.tiles.size;
-      loads.push(z.tiles.size);
-    }
-    Plan.kpis.coveredTiles = covered;
-    Plan.kpis.handymanAvgTiles = loads.length ? Math.round(loads.reduce((a,b)=>a+b,0)/loads.length) : 0;
-    Plan.kpis.handymanMaxTiles = loads.length ? Math.max.apply(null, loads) : 0;
+  // One entry per sampled in-game day, newest last: { "x,y": items }. Kept in park storage so the
+  // window survives save/reload. null until first read.
+  const Mess = { days: null };
 
-    // Mechanics
-    Plan.kpis.mechClusters = Plan.mechClusters.length;
-    let totalExits = 0, longestRoute = 0;
-    for (const mc of Plan.mechClusters){
-      totalExits += mc.exits.length;
-      let longest = 0;
-      for (const r of mc.routes) if (r.pathIds) longest = Math.max(longest, r.pathIds.length);
-      longestRoute = Math.max(longestRoute, longest);
+  function messDays(){
+    if (!Mess.days){
+      const stored = readStored(parkStore(), "mess");
+      Mess.days = (stored && Array.isArray(stored.days)) ? stored.days : [];
     }
-    Plan.kpis.mechAvgExits = Plan.mechClusters.length ? Math.round(totalExits/Plan.mechClusters.length) : 0;
-    Plan.kpis.mechLongestRoute = longestRoute;
+    return Mess.days;
+  }
 
-    // Warnings (edges)
-    Plan.warnings = [];
-    if (Settings.enableHandymen){
-      const ratio = Plan.kpis.validPathTiles ? Math.round(100*covered/Plan.kpis.validPathTiles) : 0;
-      if (ratio < 100) Plan.warnings.push(`Coverage ${ratio}%: some valid paths are not in a zone.`);
-    }
-    if (Settings.enableMechanics){
-      if (Plan.mechClusters.length===0) Plan.warnings.push("No mechanic clusters detected (no ride exits?).");
-    }
-    if (Settings.enableFoodCourts && Plan.foodCourts.length){
-      for (const fc of Plan.foodCourts){
-        const need = Math.max(1, Math.ceil(fc.tiles.size / Settings.foodCourtTilesPerCleaner));
-        if (need > 1) Plan.warnings.push(`${fc.name} is large (${fc.tiles.size} tiles). Recommend ${need} cleaners.`);
-      }
+  function sampleMess(){
+    const counts = {};
+    const litter = safe(()=>map.getAllEntities("litter"), []);
+    for (const l of litter){
+      // vomit is a litter type too, so both kinds are counted here
+      const k = key(Math.floor(l.x/32), Math.floor(l.y/32));
+      counts[k] = (counts[k]||0) + 1;
     }
+    const days = messDays();
+    days.push(counts);
+    while (days.length > Settings.messSampleDays) days.shift();
+    writeStored(parkStore(), "mess", { days });
+    setLabel("lblMessInfo", messInfoText());
   }
 
-  function showStatus(){
-    const k = Plan.kpis;
-    const ratio = k.validPathTiles ? Math.round(100*k.coveredTiles / k.validPathTiles) : 0;
-    const lines = [
-      `Handyman coverage: ${ratio}% of valid path tiles`,
-      `Avg tiles/cleaner: ${k.handymanAvgTiles} (max ${k.handymanMaxTiles})`,
-      `Mechanic clusters: ${k.mechClusters}, avg exits ${k.mechAvgExits}, longest route ${k.mechLongestRoute} tiles`,
-      `Food courts detected: ${Plan.foodCourts.length}`
-    ];
-    setLabel("lblKpi", lines.join("  |  "));
-    setWarnings(Plan.warnings);
+  function clearMess(){
+    Mess.days = [];
+    writeStored(parkStore(), "mess", { days: [] });
+    setLabel("lblMessInfo", messInfoText());
+  }
+
+  function onDay(){
+    if (Settings.weightByMess) sampleMess();
+    flushTraffic();
+  }
+
+  function messInfoText(){
+    const days = messDays();
+    let items = 0;
+    for (const d of days) for (const k in d) items += d[k];
+    return `Samples: ${days.length}/${Settings.messSampleDays} days, ${items} items seen`;
+  }
+
+  // Tile workload: 1 + messUnitsPerItem per average daily item seen on it
+  function messWeightFn(){
+    if (!messDays().length) sampleMess(); // nothing yet: use what's on the ground now
+    const days = messDays();
+    const avg = new Map();
+    for (const d of days) for (const k in d) avg.set(k, (avg.get(k)||0) + d[k]/days.length);
+    return (id)=>{
+      const n = Plan.nodes[id];
+      return 1 + Settings.messUnitsPerItem * (avg.get(key(n.x,n.y)) || 0);
+    };
   }
 
   // -----------------------------
-  // Apply (best-effort, feature-detected)
+  // Guest traffic heatmap
   // -----------------------------
-  function applyHandymanZones(notes){
-    if (!Settings.enableHandymen) return false;
+  // Rolling heatmap in park storage: heat[k] decays by 1 - 1/trafficWindow per sample, weight is the
+  // matching decayed sample count, so heat/weight is the average number of guests on the tile. Samples
+  // stay in memory and are written once a day, when the window closes, a plan is saved or the game saves.
+  const Traffic = { data: null, sub: null, ticks: 0, dirty: false };
 
-    const zones = Plan.handymanZones;
-    if (!zones.length){ notes.push("No handyman zones to apply."); return false; }
+  function trafficData(){
+    if (!Traffic.data){
+      const stored = readStored(parkStore(), "traffic");
+      Traffic.data = (stored && stored.heat && typeof stored.weight === "number") ? stored
+        : { sampling: false, samples: 0, weight: 0, heat: {} };
+    }
+    return Traffic.data;
+  }
 
-    const ensure = ensureHandymen(zones.length);
-    if (ensure.hired > 0) notes.push(`Hired ${ensure.hired} handymen.`);
+  function saveTraffic(){
+    writeStored(parkStore(), "traffic", trafficData());
+    Traffic.dirty = false;
+    setLabel("lblTrafficInfo", trafficInfoText());
+    setButtonText("btnTrafficToggle", trafficData().sampling ? "Stop sampling" : "Start sampling");
+  }
 
-    // Assign and move
-    let appliedAny = false;
-    for (let i=0;i<zones.length;i++){
-      const staff = ensure.list[i];
-      if (!staff){ notes.push(`No handyman available for ${zones[i].name}.`); continue; }
-      const okPatrol = trySetPatrolArea(staff, zones[i].tiles);
-      appliedAny = appliedAny || okPatrol;
-      if (!okPatrol) notes.push(`Patrol API not available for ${staff.name||("Handyman "+staff.id)}; preview only.`);
+  function flushTraffic(){
+    if (Traffic.dirty) saveTraffic();
+  }
 
-      if (Settings.moveExistingToZone || Settings.spawnNewInsideZone){
-        const c = zones[i].centroid;
-        const moved = tryMoveStaffTo(staff, c.x, c.y);
-        if (!moved) notes.push(`Could not move ${staff.name||("Handyman "+staff.id)}; please place them near ${c.x},${c.y}.`);
-      }
+  function sampleTraffic(){
+    const data = trafficData();
+    const keep = 1 - 1 / Math.max(1, Settings.trafficWindow);
+    for (const k in data.heat){
+      data.heat[k] *= keep;
+      if (data.heat[k] < 0.01) delete data.heat[k];
     }
-    return appliedAny;
+    // only guests standing on known path tiles count
+    for (const [k, n] of guestTileCounts()){
+      if (Plan.idByXY.size && !Plan.idByXY.has(k)) continue;
+      data.heat[k] = (data.heat[k]||0) + n;
+    }
+    data.weight = data.weight * keep + 1;
+    data.samples++;
+    Traffic.dirty = true;
+    setLabel("lblTrafficInfo", trafficInfoText());
   }
 
-  function applyMechanicRoutes(notes){
-    if (!Settings.enableMechanics) return false;
+  function onTrafficTick(){
+    if (++Traffic.ticks < Settings.trafficSampleTicks) return;
+    Traffic.ticks = 0;
+    sampleTraffic();
+  }
 
-    const clusters = Plan.mechClusters;
-    if (!clusters.length){ notes.push("No mechanic routes to apply."); return false; }
+  function startTraffic(){
+    trafficData().sampling = true;
+    if (!Traffic.sub) Traffic.sub = safe(()=>context.subscribe("interval.tick", onTrafficTick), null);
+    saveTraffic();
+  }
 
-    const ensure = ensureMechanics(clusters.length);
-    if (ensure.hired > 0) notes.push(`Hired ${ensure.hired} mechanics.`);
+  function stopTraffic(){
+    trafficData().sampling = false;
+    if (Traffic.sub){ safe(()=>Traffic.sub.dispose(), null); Traffic.sub = null; }
+    saveTraffic();
+  }
 
-    let appliedAny = false;
-    for (let i=0;i<clusters.length;i++){
-      const staff = ensure.list[i];
-      if (!staff){ notes.push(`No mechanic available for cluster ${i+1}.`); continue; }
-      // Patrol = route tiles only
-      const okPatrol = trySetPatrolArea(staff, clusters[i].tiles);
-      appliedAny = appliedAny || okPatrol;
-      if (!okPatrol) notes.push(`Patrol API not available for ${staff.name||("Mechanic "+staff.id)}; preview only.`);
+  function clearTraffic(){
+    const sampling = trafficData().sampling;
+    Traffic.data = { sampling, samples: 0, weight: 0, heat: {} };
+    saveTraffic();
+  }
 
-      if (Settings.moveExistingToZone || Settings.spawnNewInsideZone){
-        // Spawn at first exit
-        const firstExitIndex = clusters[i].exits[0];
-        const ex = Plan.mechExits[firstExitIndex];
-        const moved = tryMoveStaffTo(staff, ex.x, ex.y);
-        if (!moved) notes.push(`Could not move ${staff.name||("Mechanic "+staff.id)}; please place them near ${ex.x},${ex.y}.`);
-      }
-    }
-    return appliedAny;
+  // Park loaded: pick up where sampling left off
+  function resumeTraffic(){
+    if (Traffic.sub){ safe(()=>Traffic.sub.dispose(), null); Traffic.sub = null; }
+    Traffic.data = null;
+    Traffic.dirty = false;
+    Traffic.ticks = 0;
+    if (safe(()=>trafficData().sampling, false)) startTraffic();
   }
 
-  // Staff helpers (best effort, compatible with older builds)
-  function getAllHandymen(){
-    // Attempt to read staff list; fallback to empty
-    const list = [];
-    try {
-      // Some builds expose peeps via context.getAllEntities(); we’ll do a tile scan fallback: not cheap, but rare.
-      // Safer: use park.staff if present.
-      if (park && park.staff){
-        for (const s of park.staff){
-          if (String(s.type||"").toLowerCase().indexOf("handyman")>=0) list.push(s);
-        }
-      }
-    } catch {}
-    return list;
+  function trafficInfoText(){
+    const data = trafficData();
+    return `Samples: ${data.samples} (${data.sampling ? "sampling" : "stopped"}), ${Object.keys(data.heat).length} tiles seen`;
   }
 
-  function getAllMechanics(){
-    const list = [];
-    try {
-      if (park && park.staff){
-        for (const s of park.staff){
-          if (String(s.type||"").toLowerCase().indexOf("mechanic")>=0) list.push(s);
-        }
-      }
-    } catch {}
-    return list;
+  function trafficActive(){ return Settings.useTraffic && trafficData().samples > 0; }
+
+  // Average guests on a node's tile, or null without a heatmap
+  function trafficFn(){
+    if (!trafficActive()) return null;
+    const data = trafficData();
+    return (id)=>{
+      const n = Plan.nodes[id];
+      return (data.heat[key(n.x,n.y)] || 0) / data.weight;
+    };
   }
 
-  function tryHireStaff(role, count){
-    let hired=0;
-    for (let i=0;i<count;i++){
-      try{
-        const res = context.executeAction("hire_staff", { type: role });
-        if (res && res.error) break;
-        hired++;
-      } catch {}
-    }
-    return hired;
+  // Hub score: traffic on the tile plus its path neighbours
+  function trafficHubFn(){
+    const avg = trafficFn();
+    if (!avg) return null;
+    return (id)=>{
+      let h = avg(id);
+      for (const nb of Plan.edges[id] || []) h += avg(nb);
+      return h;
+    };
   }
 
-  function ensureHandymen(count){
-    const list = getAllHandymen();
-    if (list.length >= count) return { list: list.slice(0,count), hired: 0 };
-    if (Settings.staffInsufficient === "Auto-hire"){
-      const hired = tryHireStaff("handyman", count - list.length);
-      const after = getAllHandymen();
-      return { list: after.slice(0,count), hired };
-    }
-    return { list: list.slice(0,count), hired: 0 };
-    // "Stretch zones" is implicit in planning; "Assign only existing" uses partial list.
+  // -----------------------------
+  // Handyman workload
+  // -----------------------------
+  function workloadWeighted(){ return Settings.weightByMess || trafficActive(); }
+
+  // Per-tile workload from mess and traffic (both multiply a plain tile's 1), or null for raw tiles
+  function workloadFn(){
+    const mess = Settings.weightByMess ? messWeightFn() : null;
+    const traffic = trafficFn();
+    if (!mess && !traffic) return null;
+    return (id)=>{
+      let w = mess ? mess(id) : 1;
+      if (traffic) w *= 1 + Settings.trafficUnitsPerGuest * traffic(id);
+      return w;
+    };
   }
 
-  function ensureMechanics(count){
-    const list = getAllMechanics();
-    if (list.length >= count) return { list: list.slice(0,count), hired: 0 };
-    if (Settings.staffInsufficient === "Auto-hire"){
-      const hired = tryHireStaff("mechanic", count - list.length);
-      const after = getAllMechanics();
-      return { list: after.slice(0,count), hired };
+  // -----------------------------
+  // Security Guard Zones (vandalism hotspots)
+  // -----------------------------
+  function* buildGuardZones(){
+    // Hotspots: path tiles with a breakable addition, weighted by nearby guests; broken ones count double
+    const guests = guestTileCounts();
+    const R = Settings.guardGuestRadius;
+    const hotspots = [];
+    for (const id of Plan.validNodeIds){
+      const n = Plan.nodes[id];
+      if (!n.breakable) continue;
+      let near = 0;
+      for (let dx=-R; dx<=R; dx++) for (let dy=-R; dy<=R; dy++) near += guests.get(key(n.x+dx, n.y+dy)) || 0;
+      const weight = (1 + near/4) * (n.broken ? 2 : 1);
+      hotspots.push({ nodeId:id, weight, broken: !!n.broken });
     }
-    return { list: list.slice(0,count), hired: 0 };
-  }
+    Plan.guardHotspots = hotspots;
+    if (!hotspots.length) return;
 
-  function trySetPatrolArea(staff, tileIdSet){
+    // Candidate tiles: valid paths within guardReach steps of any hotspot (multi-source BFS)
+    const pool = new Set();
+    const depth = new Map();
+    const q = [];
+    for (const h of hotspots){ depth.set(h.nodeId, 0); pool.add(h.nodeId); q.push(h.nodeId); }
+    while (q.length){
+      const v = q.shift();
+      if (depth.get(v) >= Settings.guardReach) continue;
+      for (const nb of Plan.edges[v]){
+        if (!Plan.validNodeIds.has(nb) || depth.has(nb)) continue;
+        depth.set(nb, depth.get(v)+1);
+        pool.add(nb);
+        q.push(nb);
+      }
+    }
+
+    const totalLoad = hotspots.reduce((a,h)=>a+h.weight, 0);
+    const onHand = unlockedStaff(getAllGuards()).length;
+    const k = Math.max(1, budgetCap("security", Math.ceil(totalLoad / Settings.guardLoadPerGuard), onHand));
+    let grown = yield* partitionZones(pool, k, null, new Set(hotspots.map(h=>h.nodeId)));
+    if (Settings.surplusStaff === "Split biggest zones" && onHand > grown.length) grown = yield* splitBiggest(grown, onHand - grown.length, null);
+
+    const weightById = new Map(hotspots.map(h=>[h.nodeId, h.weight]));
+    const zones = [];
+    for (const tiles of grown){
+      if (!tiles || !tiles.size) continue;
+      let load = 0, spots = 0;
+      for (const t of tiles) if (weightById.has(t)){ load += weightById.get(t); spots++; }
+      zones.push({ tiles, centroid: centroidOfTiles(tiles), name: `Guard zone ${zones.length+1}`, kind: "guard", hotspots: spots, load: Math.round(load) });
+    }
+    Plan.guardZones = zones;
+  }
+
+  // Guests per "x,y" tile right now
+  function guestTileCounts(){
+    const counts = new Map();
+    const guests = safe(()=>map.getAllEntities("guest"), null) ||
+      safe(()=>map.getAllEntities("peep").filter(p=>String(p.peepType||"guest")==="guest"), []);
+    for (const g of guests){
+      const k = key(Math.floor(g.x/32), Math.floor(g.y/32));
+      counts.set(k, (counts.get(k)||0) + 1);
+    }
+    return counts;
+  }
+
+  // -----------------------------
+  // Entertainers (queue lines)
+  // -----------------------------
+  const COSTUMES = ["Keep current","Panda","Tiger","Elephant","Roman","Gorilla","Snowman","Knight","Astronaut","Bandit","Sheriff","Pirate"];
+
+  function* buildEntertainerPatrols(){
+    const lines = yield* findQueueLines();
+    Plan.queueLines = lines;
+
+    // Longest waits first: queue time, then guests waiting, then line length
+    const ranked = lines.filter(l=>l.length >= Settings.entertainerMinQueue)
+      .sort((a,b)=>(b.queueTime-a.queueTime) || (b.guests-a.guests) || (b.length-a.length));
+    const per = Settings.entertainerQueueTilesPerStaff;
+
+    const patrols = [];
+    const open = []; // patrols with spare capacity that short lines may join
+    for (const line of ranked){
+      yield;
+      const need = Math.ceil(line.length / per);
+      if (need > 1){
+        // Long line: split along the queue, first entertainer also covers the entrance plaza
+        const order = queueOrder(line);
+        for (let j=0; j<need; j++){
+          const part = new Set(order.slice(Math.floor(j*order.length/need), Math.floor((j+1)*order.length/need)));
+          if (j === 0) for (const t of plazaTiles(line)) part.add(t);
+          patrols.push(makeEntertainerPatrol(part, [line], Math.ceil(line.length/need)));
+        }
+        continue;
+      }
+      // Short line: share an entertainer with a nearby line if the ratio allows
+      const c = centroidOfTiles(line.tiles);
+      const host = open.find(p=>p.queueTiles + line.length <= per && Math.abs(p.centroid.x-c.x) + Math.abs(p.centroid.y-c.y) <= 2*per);
+      if (host){
+        for (const t of line.tiles) host.tiles.add(t);
+        for (const t of plazaTiles(line)) host.tiles.add(t);
+        host.rides.push(line.rideName);
+        host.queueTiles += line.length;
+        host.guests += line.guests;
+      } else {
+        const tiles = new Set(line.tiles);
+        for (const t of plazaTiles(line)) tiles.add(t);
+        const p = makeEntertainerPatrol(tiles, [line], line.length);
+        patrols.push(p);
+        open.push(p);
+      }
+    }
+    patrols.forEach((p,i)=>{ p.name = `Entertainer ${i+1}`; p.centroid = centroidOfTiles(p.tiles); });
+    Plan.entertainerPatrols = patrols;
+  }
+
+  function makeEntertainerPatrol(tiles, lines, queueTiles){
+    return { tiles, centroid: centroidOfTiles(tiles), name: "", kind: "entertainer",
+      rides: lines.map(l=>l.rideName), queueTiles, guests: lines.reduce((a,l)=>a+l.guests, 0) };
+  }
+
+  // Connected queue tiles form one line; starts are queue tiles touching the walkable network
+  function* findQueueLines(){
+    const guests = guestTileCounts();
+    const seen = new Set();
+    const lines = [];
+    for (const qid of Plan.queueNodeIds){
+      if (seen.has(qid)) continue;
+      yield;
+      const tiles = new Set([qid]);
+      const q = [qid];
+      seen.add(qid);
+      while (q.length){
+        const v = q.shift();
+        for (const nb of Plan.edges[v]){
+          if (!Plan.queueNodeIds.has(nb) || seen.has(nb)) continue;
+          seen.add(nb); tiles.add(nb); q.push(nb);
+        }
+      }
+      const starts = [];
+      let waiting = 0;
+      const votes = new Map();
+      for (const t of tiles){
+        const n = Plan.nodes[t];
+        waiting += guests.get(key(n.x,n.y)) || 0;
+        if (n.queueRide >= 0) votes.set(n.queueRide, (votes.get(n.queueRide)||0) + 1);
+        if (Plan.edges[t].some(nb=>Plan.validNodeIds.has(nb))) starts.push(t);
+      }
+      let rideId = -1, best = 0;
+      for (const [r,c] of votes) if (c > best){ best = c; rideId = r; }
+      if (rideId < 0) rideId = rideEntranceNear(tiles);
+      const ride = rideId >= 0 ? safe(()=>map.rides[rideId], null) : null;
+      lines.push({
+        tiles, starts, rideId,
+        rideName: ride ? String(ride.name) : "Unknown ride",
+        length: tiles.size,
+        guests: waiting,
+        queueTime: ride ? safe(()=>Math.max(0, ...ride.stations.map(st=>st.queueTime||0)), 0) : 0
+      });
+    }
+    return lines;
+  }
+
+  // Queue tiles don't always carry their ride; fall back to the entrance the line ends at
+  function rideEntranceNear(tiles){
+    for (const t of tiles){
+      const n = Plan.nodes[t];
+      for (const d of [[0,0],[1,0],[-1,0],[0,1],[0,-1]]){
+        for (const el of tileElements(n.x+d[0], n.y+d[1])) if (String(el.type||"") === "rideEntrance") return el.ride;
+      }
+    }
+    return -1;
+  }
+
+  // Queue tiles in walking order from the start
+  function queueOrder(line){
+    const order = [];
+    const seen = new Set(line.starts);
+    const q = line.starts.length ? line.starts.slice() : [line.tiles.values().next().value];
+    for (const t of q) seen.add(t);
+    while (q.length){
+      const v = q.shift();
+      order.push(v);
+      for (const nb of Plan.edges[v]) if (line.tiles.has(nb) && !seen.has(nb)){ seen.add(nb); q.push(nb); }
+    }
+    return order;
+  }
+
+  // Walkable tiles within entertainerPlazaRadius steps of where the queue begins
+  function plazaTiles(line){
+    const out = new Set();
+    const depth = new Map();
+    const q = [];
+    for (const s of line.starts) for (const nb of Plan.edges[s]){
+      if (Plan.validNodeIds.has(nb) && !depth.has(nb)){ depth.set(nb, 1); q.push(nb); out.add(nb); }
+    }
+    while (q.length){
+      const v = q.shift();
+      if (depth.get(v) >= Settings.entertainerPlazaRadius) continue;
+      for (const nb of Plan.edges[v]){
+        if (!Plan.validNodeIds.has(nb) || depth.has(nb)) continue;
+        depth.set(nb, depth.get(v)+1); out.add(nb); q.push(nb);
+      }
+    }
+    return out;
+  }
+
+  // -----------------------------
+  // Watch mode (incremental re-planning)
+  // -----------------------------
+  // Executed actions that can change the path graph or the set of ride exits
+  const WATCHED_ACTIONS = [
+    "footpathplace", "footpathlayoutplace", "footpathremove",
+    "rideentranceexitplace", "rideentranceexitremove",
+    "trackplace", "trackremove", "mazeplacetrack", "ridedemolish"
+  ];
+  const Watch = {
+    dirtyTiles: new Set(),     // "x,y" tiles touched since the last (re)plan
+    demolishedRides: new Set(),
+    pending: false             // a debounced re-plan is queued
+  };
+
+  function onActionExecuted(e){
+    if (!e || WATCHED_ACTIONS.indexOf(e.action) < 0) return;
+    if (e.result && e.result.error) return;
+    if (!Plan.built && !Job.steps) return;
+    const a = e.args || {};
+    if (e.action === "ridedemolish") Watch.demolishedRides.add(a.ride);
+    else if (typeof a.x === "number" && typeof a.y === "number") Watch.dirtyTiles.add(key(Math.floor(a.x/32), Math.floor(a.y/32)));
+    if (Job.steps) return; // caught up when planning finishes
+
+    if (!Settings.watchMode){
+      Plan.stale = true;
+      setLabel("lblStale", "Plan is stale");
+      return;
+    }
+    // Building drags fire many actions; batch them into one re-plan
+    if (Watch.pending) return;
+    Watch.pending = true;
+    const run = ()=>{ Watch.pending = false; replanIncremental(); };
+    if (!safe(()=>{ context.setTimeout(run, 250); return true; }, false)) run();
+  }
+
+  // Patch the graph around changed tiles, then re-zone only what the change touched
+  function replanIncremental(){
+    if (!Plan.built) return;
+    if (!Watch.dirtyTiles.size && !Watch.demolishedRides.size) return;
+    const tiles = Array.from(Watch.dirtyTiles).map(k=>k.split(",").map(Number));
+    const demolished = new Set(Watch.demolishedRides);
+    Watch.dirtyTiles.clear(); Watch.demolishedRides.clear();
+
+    const before = new Set(Plan.validNodeIds);
+    patchPathGraph(tiles);
+    runNow(pruneSceneryBranches()); // graph-only; no map reads
+    const added = [], removed = [];
+    for (const id of Plan.validNodeIds) if (!before.has(id)) added.push(id);
+    for (const id of before) if (!Plan.validNodeIds.has(id)) removed.push(id);
+    if (Settings.enableHandymen) updateGardens(tiles, added, removed); // plantings aren't watched; paths next to them are
+
+    for (const fc of Plan.foodCourts){
+      for (const id of removed){ fc.tiles.delete(id); Plan.reservedFoodTiles.delete(id); }
+    }
+    for (const gz of Plan.guardZones) for (const id of removed) gz.tiles.delete(id);
+    Plan.guardZones = Plan.guardZones.filter(gz=>gz.tiles.size);
+    for (const ep of Plan.entertainerPatrols) for (const id of ep.tiles) if (!Plan.nodes[id] || Plan.nodes[id].removed) ep.tiles.delete(id);
+    Plan.entertainerPatrols = Plan.entertainerPatrols.filter(ep=>ep.tiles.size);
+
+    const zones = Settings.enableHandymen ? rezoneAffected(added, removed) : [];
+    const clusters = Settings.enableMechanics ? rerouteAffected(tiles, demolished, removed) : [];
+    computeKpis();
+    showStatus();
+
+    let reapplied = 0;
+    if (Plan.applied){
+      for (const z of zones) if (!z.locked && z.staffId !== undefined && trySetPatrolArea(findStaffById(z.staffId), z.tiles)) reapplied++;
+      for (const mc of clusters) if (!mc.locked && mc.staffId !== undefined && trySetPatrolArea(findStaffById(mc.staffId), mc.tiles)) reapplied++;
+    }
+    Plan.stale = false;
+    setLabel("lblStale", (zones.length || clusters.length) ? `Watch: ${zones.length} zones, ${clusters.length} routes updated` + (reapplied ? `, ${reapplied} staff re-assigned` : "") : "");
+  }
+
+  // Rescan only the changed tiles; neighbours are relinked. Removed nodes keep their id (flagged) so
+  // every Set<nodeId> in the plan stays meaningful.
+  function patchPathGraph(tiles){
+    const touched = new Set();
+    // neighbours too: their edges and facing entrances change with the tile next door
+    const rescan = new Map();
+    for (const [x,y] of tiles) for (const d of [[0,0],[1,0],[-1,0],[0,1],[0,-1]]) rescan.set(key(x+d[0], y+d[1]), [x+d[0], y+d[1]]);
+    for (const [x,y] of rescan.values()){
+      if (x<0 || y<0 || x>=Plan.width || y>=Plan.height) continue;
+      // match levels by height: same height and slope keeps its node, anything else is removed/added
+      const old = nodesAt(x,y).slice();
+      const kept = [];
+      for (const info of scanPathElements(x,y)){
+        const i = old.findIndex(id=>Plan.nodes[id].z === info.z && Plan.nodes[id].slope === info.slope);
+        if (i < 0){ kept.push(addPathNode(x, y, info)); continue; }
+        const n = Plan.nodes[old[i]];
+        n.attractor = info.attractor; n.breakable = info.breakable; n.broken = info.broken;
+        n.queue = info.queue; n.queueRide = info.queueRide; n.edgeMask = info.edgeMask;
+        kept.push(old[i]);
+        old.splice(i, 1);
+      }
+      for (const id of old){
+        Plan.nodes[id].removed = true;
+        linkNode(id); // clears its edges
+      }
+      indexTileNodes(x, y, kept);
+      for (const d of [[0,0],[1,0],[-1,0],[0,1],[0,-1]]) touched.add(key(x+d[0], y+d[1]));
+    }
+    for (const k of touched){
+      for (const id of Plan.idsByXY.get(k) || []) linkNode(id);
+    }
+
+    refreshNodeSets();
+  }
+
+  // Lowest "Zone N" no zone uses yet: zones dropped by earlier re-plans leave gaps in the numbering
+  function unusedZoneName(zones){
+    const used = new Set(zones.map(z=>z.name));
+    let n = 1;
+    while (used.has(`Zone ${n}`)) n++;
+    return `Zone ${n}`;
+  }
+
+  // Re-grow the general zones that lost tiles or border new paths; returns the zones that changed
+  function rezoneAffected(added, removed){
+    const zones = Plan.handymanZones;
+    const claimed = new Set();
+    const affected = new Set();
+    zones.forEach((z,i)=>{
+      for (const id of removed) if (z.tiles.delete(id)) affected.add(i);
+      for (const t of z.tiles) claimed.add(t);
+    });
+    const fresh = added.filter(id=>!claimed.has(id) && !Plan.reservedFoodTiles.has(id));
+    for (const id of fresh){
+      for (const nb of Plan.edges[id]) zones.forEach((z,i)=>{ if (z.tiles.has(nb)) affected.add(i); });
+    }
+
+    // Food court and locked zones just shrink; only general zones are re-grown
+    const slots = Array.from(affected).filter(i=>zones[i].kind === "general").sort((a,b)=>a-b);
+    const changed = Array.from(affected).filter(i=>zones[i].kind !== "general").map(i=>zones[i]);
+    const pool = new Set(fresh);
+    for (const i of slots) for (const t of zones[i].tiles) pool.add(t);
+
+    if (pool.size){
+      const weightOf = Plan.weighted ? workloadFn() : null;
+      let need = pool.size;
+      if (weightOf){ need = 0; for (const t of pool) need += weightOf(t); }
+      const k = Math.max(slots.length, Math.ceil(need / Settings.tilesPerHandyman));
+      const grown = runNow(partitionZones(pool, k, weightOf));
+      for (let j=0; j<Math.max(grown.length, slots.length); j++){
+        const tiles = grown[j] || new Set();
+        if (j < slots.length){
+          // keep the slot's name and staff
+          zones[slots[j]].tiles = tiles;
+          if (tiles.size) zones[slots[j]].centroid = centroidOfTiles(tiles);
+          changed.push(zones[slots[j]]);
+        } else {
+          const z = { tiles, centroid: centroidOfTiles(tiles), name: unusedZoneName(zones), kind: "general" };
+          zones.push(z);
+          changed.push(z);
+        }
+      }
+    } else {
+      for (const i of slots) changed.push(zones[i]);
+    }
+    if (Settings.allowDeadEndRescue) rescueDeadEnds(zones.filter(z=>z.kind !== "garden"));
+    Plan.handymanZones = zones.filter(z=>z.tiles.size);
+    return changed.filter(z=>z.tiles.size);
+  }
+
+  // Drop exits that vanished, pick up new ones on changed tiles and rebuild only the clusters involved
+  function rerouteAffected(tiles, demolished, removed){
+    const removedSet = new Set(removed);
+    const remap = new Map(); // old exit index -> new index
+    const exits = [];
+    Plan.mechExits.forEach((e,i)=>{
+      if (demolished.has(e.rideId)) return;
+      const id = nodeAtHeight(e.x, e.y, e.z || 0);
+      if (id === undefined || !Plan.validNodeIds.has(id)) return;
+      remap.set(i, exits.length);
+      exits.push(Object.assign({}, e, { nodeId:id }));
+    });
+    const known = new Set(exits.map(e=>key(e.x,e.y)));
+    const fresh = [];
+    // an exit built on a changed tile opens onto the path next to it
+    for (const [tx,ty] of tiles) for (const d of [[0,0],[1,0],[-1,0],[0,1],[0,-1]]){
+      const x = tx + d[0], y = ty + d[1];
+      if (known.has(key(x,y))) continue;
+      for (const ex of scanRideExitsAt(x,y)){ fresh.push(exits.length); exits.push(ex); }
+      known.add(key(x,y));
+    }
+    Plan.mechExits = exits;
+    assignExitRisk();
+
+    const affected = new Set();
+    Plan.mechClusters.forEach((mc, ci)=>{
+      const kept = mc.exits.filter(i=>remap.has(i)).map(i=>remap.get(i));
+      if (kept.length !== mc.exits.length) affected.add(mc);
+      else for (const t of mc.tiles) if (removedSet.has(t)){ affected.add(mc); break; }
+      mc.exits = kept;
+    });
+
+    // New exits join the nearest cluster that stays within caps, else start their own
+    for (const ei of fresh){
+      let best = null, bestd = 1e9;
+      for (const mc of Plan.mechClusters){
+        if (mc.locked || !mc.exits.length || mc.exits.length >= Settings.mechMaxExits) continue;
+        const dist = runNow(exitDistances(mc.exits.concat([ei])));
+        if (!fitsCaps(mc.exits.concat([ei]), dist)) continue;
+        let nd = 1e9;
+        for (const c of mc.exits) nd = Math.min(nd, dist[ei][c]);
+        if (nd < bestd){ bestd = nd; best = mc; }
+      }
+      if (best) best.exits.push(ei);
+      else { best = { exits:[ei], tiles:new Set(), routes:[] }; Plan.mechClusters.push(best); }
+      affected.add(best);
+    }
+
+    const changed = [];
+    for (const mc of affected){
+      if (!mc.exits.length || mc.locked) continue;
+      const rebuilt = runNow(buildClusterRoute(mc.exits, runNow(exitDistances(mc.exits))));
+      mc.exits = rebuilt.exits;
+      mc.tiles = rebuilt.tiles;
+      mc.routes = rebuilt.routes;
+      changed.push(mc);
+    }
+    Plan.mechClusters = Plan.mechClusters.filter(mc=>mc.exits.length);
+    return changed;
+  }
+
+  // -----------------------------
+  // Warnings
+  // -----------------------------
+  // Each warning is a record: severity, text, and where it is (the tile to pan to, the path nodes to
+  // highlight, the zone, court or route it concerns). Clicking one in the list pans there.
+  const SEVERITIES = ["error", "warning", "info"];
+  const SEVERITY_LABELS = { error: "Error", warning: "Warning", info: "Info" };
+
+  function issue(severity, text, where){
+    const w = where || {};
+    const tiles = w.tiles ? Array.from(w.tiles) : [];
+    const at = w.at ? { x: w.at.x, y: w.at.y } : tiles.length ? centroidOfTiles(tiles) : null;
+    return { severity, text, at, tiles, target: w.target || null };
+  }
+
+  function onWarningClick(i){
+    const w = UiState.warnings[i];
+    if (!w || (!w.at && !w.tiles.length) || !Plan.built) return;
+    highlightTiles(w.tiles, w.at);
+  }
+
+  // -----------------------------
+  // KPIs & Status
+  // -----------------------------
+  function computeKpis(){ runNow(buildKpis()); }
+
+  function* buildKpis(){
+    Plan.built = true;
+    // Handymen tiles
+    let covered = 0;
+    let loads = [];
+    for (const z of Plan.handymanZones){
+      if (z.kind === "garden") continue; // gardeners overlap the zones they run through
+      covered += z.tiles.size;
+      loads.push(z.tiles.size);
+    }
+    Plan.kpis.coveredTiles = covered;
+    Plan.kpis.handymanAvgTiles = loads.length ? Math.round(loads.reduce((a,b)=>a+b,0)/loads.length) : 0;
+    Plan.kpis.handymanMaxTiles = loads.length ? Math.max.apply(null, loads) : 0;
+
+    // Weighted workload per zone (raw tile count stays in tiles.size)
+    const weightOf = Plan.weighted ? workloadFn() : null;
+    const wloads = [];
+    for (const z of Plan.handymanZones){
+      let load = z.tiles.size;
+      if (weightOf){ load = 0; for (const t of z.tiles) load += weightOf(t); }
+      z.load = Math.round(load);
+      if (z.kind !== "garden") wloads.push(z.load);
+    }
+    Plan.kpis.handymanAvgLoad = wloads.length ? Math.round(wloads.reduce((a,b)=>a+b,0)/wloads.length) : 0;
+    Plan.kpis.handymanMaxLoad = wloads.length ? Math.max.apply(null, wloads) : 0;
+
+    // Partition quality: how far the heaviest general zone is over the average (courts are sized by
+    // their own rule), and how much of the network's links cross a zone border (fewer = more compact)
+    const general = Plan.handymanZones.filter(z=>z.kind === "general").map(z=>z.load);
+    const avgLoad = general.length ? general.reduce((a,b)=>a+b,0) / general.length : 0;
+    Plan.kpis.zoneBalance = avgLoad ? Math.round(100 * (Math.max.apply(null, general) / avgLoad - 1)) : 0;
+    const owner = new Map();
+    Plan.handymanZones.forEach((z,i)=>{ for (const t of z.tiles) if (!owner.has(t)) owner.set(t, i); });
+    let inner = 0, border = 0;
+    for (const [id, zi] of owner){
+      for (const nb of Plan.edges[id] || []){
+        if (nb < id || !owner.has(nb)) continue;
+        if (owner.get(nb) === zi) inner++; else border++;
+      }
+    }
+    Plan.kpis.zoneBorders = border;
+    Plan.kpis.zoneCompactness = (inner + border) ? Math.round(100 * inner / (inner + border)) : 100;
+
+    // Mechanics
+    Plan.kpis.mechClusters = Plan.mechClusters.length;
+    let totalExits = 0, longestRoute = 0;
+    for (const mc of Plan.mechClusters){
+      totalExits += mc.exits.length;
+      mc.risk = clusterRisk(mc.exits);
+      let longest = 0;
+      for (const r of mc.routes) if (r.pathIds) longest = Math.max(longest, r.pathIds.length);
+      longestRoute = Math.max(longestRoute, longest);
+    }
+    Plan.kpis.mechAvgExits = Plan.mechClusters.length ? Math.round(totalExits/Plan.mechClusters.length) : 0;
+    Plan.kpis.mechLongestRoute = longestRoute;
+
+    // Guards
+    Plan.kpis.guardZones = Plan.guardZones.length;
+    // counted from zones and the graph so restored plans report them too
+    Plan.kpis.guardHotspots = Plan.guardZones.reduce((a,gz)=>a+(gz.hotspots||0), 0);
+    let broken = 0;
+    for (const id of Plan.validNodeIds) if (Plan.nodes[id].broken) broken++;
+    Plan.kpis.guardBroken = broken;
+
+    // Entertainers
+    Plan.kpis.entertainers = Plan.entertainerPatrols.length;
+    Plan.kpis.queuesCovered = Plan.entertainerPatrols.reduce((a,p)=>a+p.rides.length, 0);
+    Plan.kpis.longestQueue = Plan.queueLines.reduce((a,l)=>Math.max(a,l.length), 0);
+
+    // Gardens: order profiles, reach KPIs and unwatered beds
+    const gardenWarnings = gardenKpis();
+
+    // Warnings (edges)
+    Plan.warnings = [];
+    const loose = yield* unconnectedPairs();
+    for (const [a,b] of loose.slice(0, 5)) Plan.warnings.push(issue("warning", `Adjacent but unconnected paths at ${a.x},${a.y} and ${b.x},${b.y}.`, { tiles: [a.id, b.id], at: a }));
+    if (loose.length > 5) Plan.warnings.push(issue("warning", `...and ${loose.length - 5} more adjacent but unconnected path pairs.`, { tiles: loose.slice(5).flatMap(([a,b])=>[a.id, b.id]) }));
+    if (Settings.enableHandymen){
+      const ratio = Plan.kpis.validPathTiles ? Math.round(100*covered/Plan.kpis.validPathTiles) : 0;
+      if (ratio < 100){
+        const zoned = new Set();
+        for (const z of Plan.handymanZones) for (const t of z.tiles) zoned.add(t);
+        const left = Array.from(Plan.validNodeIds).filter(id=>!zoned.has(id));
+        Plan.warnings.push(issue("error", `Coverage ${ratio}%: some valid paths are not in a zone.`, { tiles: left, at: Plan.nodes[left[0]] }));
+      }
+    }
+    for (const w of gardenWarnings) Plan.warnings.push(w);
+    if (Settings.enableMechanics){
+      if (Plan.mechClusters.length===0) Plan.warnings.push(issue("warning", "No mechanic clusters detected (no ride exits?)."));
+      Plan.mechClusters.forEach((mc,i)=>{
+        if (mc.locked || mc.risk <= Settings.mechRiskCap) return;
+        const where = { tiles: mc.tiles, at: Plan.mechExits[mc.exits[0]], target: routeName(i) };
+        if (mc.exits.length === 1) Plan.warnings.push(issue("info", `${routeName(i)}: ${Plan.mechExits[mc.exits[0]].rideName} alone exceeds the risk cap (${mc.risk}); it gets a dedicated mechanic.`, where));
+        else Plan.warnings.push(issue("warning", `${routeName(i)}: risk ${mc.risk} exceeds the cap of ${Settings.mechRiskCap}; ${Plan.budgetShort.mechanic ? "stretched to fit the budget" : "re-run Preview to regroup"}.`, where));
+      });
+      for (let i=0; i<Plan.mechClusters.length; i++){
+        const mc = Plan.mechClusters[i];
+        if (mc.locked || mc.exits.length !== 1) continue;
+        const why = yield* loneExitReason(mc.exits[0]);
+        const e = Plan.mechExits[mc.exits[0]];
+        if (why) Plan.warnings.push(issue("info", `${routeName(i)}: ${e.rideName} exit at ${e.x},${e.y} gets a mechanic of its own: ${why}.`, { tiles: mc.tiles, at: e, target: routeName(i) }));
+      }
+    }
+    if (Settings.enableFoodCourts && Plan.foodCourts.length){
+      for (const fc of Plan.foodCourts){
+        const need = Math.max(1, Math.ceil(fc.tiles.size / Settings.foodCourtTilesPerCleaner));
+        if (need > 1) Plan.warnings.push(issue("warning", `${fc.name} is large (${fc.tiles.size} tiles). Recommend ${need} cleaners.`, { tiles: fc.tiles, at: fc.center, target: fc.name }));
+      }
+    }
+    if (Settings.enableGuards){
+      if (!Plan.kpis.guardHotspots) Plan.warnings.push(issue("info", "No benches, lamps or bins found on paths; no guard zones needed."));
+      if (Plan.kpis.guardBroken){
+        const brokenIds = Array.from(Plan.validNodeIds).filter(id=>Plan.nodes[id].broken);
+        Plan.warnings.push(issue("warning", `${Plan.kpis.guardBroken} path additions are already broken; guards stop new damage but won't repair these.`, { tiles: brokenIds }));
+      }
+      for (const gz of Plan.guardZones){
+        if (gz.load > Settings.guardLoadPerGuard*1.5) Plan.warnings.push(issue("warning", `${gz.name} carries ${gz.load} load units (target ${Settings.guardLoadPerGuard}); busy area, consider a second guard.`, { tiles: gz.tiles, target: gz.name }));
+      }
+    }
+    Plan.kpis.staffBudget = staffBudget();
+    const sb = Plan.kpis.staffBudget;
+    const short = Object.assign({}, sb.unstaffed, Plan.budgetShort);
+    if (short.handyman) Plan.warnings.push(issue("warning", `Budget: ${staffCount(short.handyman, "handyman")} short; handyman zones stretched over the staff the park can pay.`));
+    if (sb.unstaffed.mechanic) Plan.warnings.push(issue("error", `Budget: ${staffCount(sb.unstaffed.mechanic, "mechanic")} short; ${sb.unstaffed.mechanic === 1 ? "1 mechanic route stays" : sb.unstaffed.mechanic + " mechanic routes stay"} unstaffed.`));
+    else if (short.mechanic) Plan.warnings.push(issue("warning", `Budget: ${staffCount(short.mechanic, "mechanic")} short; mechanic routes stretched past the caps over the staff the park can pay.`));
+    if (short.security) Plan.warnings.push(issue("warning", `Budget: ${staffCount(short.security, "security")} short; guard zones stretched.`));
+    if (short.entertainer) Plan.warnings.push(issue("warning", `Budget: ${staffCount(short.entertainer, "entertainer")} short; the last entertainer patrols stay unstaffed.`));
+    for (const role in sb.surplus){
+      const what = { "Fire": "fired on Apply", "Floaters": "made floaters (no patrol area) on Apply", "Split biggest zones": "left as they are (only zones split)", "Leave alone": "left as they are" }[Settings.surplusStaff];
+      Plan.warnings.push(issue("info", `${staffCount(sb.surplus[role], role)} more than the plan needs: ${what}.`));
+    }
+    if (Settings.enableEntertainers){
+      const long = Plan.queueLines.filter(l=>l.length >= Settings.entertainerMinQueue);
+      if (!long.length) Plan.warnings.push(issue("info", `No queue lines of ${Settings.entertainerMinQueue}+ tiles; no entertainers needed.`));
+      for (const l of long){
+        const need = Math.ceil(l.length / Settings.entertainerQueueTilesPerStaff);
+        const c = centroidOfTiles(l.tiles);
+        if (l.rideId < 0) Plan.warnings.push(issue("warning", `Queue line near ${c.x},${c.y} isn't linked to a ride entrance.`, { tiles: l.tiles, at: c }));
+        if (need > 1) Plan.warnings.push(issue("info", `${l.rideName} queue is ${l.length} tiles (${l.guests} guests waiting): split across ${need} entertainers.`, { tiles: l.tiles, at: c }));
+      }
+    }
+  }
+
+  // Garden order profiles, the gardens KPIs and their warnings (flagged .garden), which only depend on the
+  // zones' orders: cheap enough to redo on their own when a garden setting or an order changes
+  function gardenKpis(){
+    // General zones lined with planted scenery get the garden order profile
+    const planted = gardenReach("planted");
+    for (const z of Plan.handymanZones) z.garden = z.kind === "garden" || (z.kind === "general" && 100 * gardenShare(z.tiles, planted) >= Settings.gardenZoneShare);
+    // Gardens: tiles next to a path whose handyman waters (planted) or mows (grass)
+    const watered = gardenTended("planted", 2), mowed = gardenTended("grass", 8);
+    Plan.kpis.gardenPlanted = watered.tiles;
+    Plan.kpis.gardenWatered = watered.tended;
+    Plan.kpis.gardenGrass = mowed.tiles;
+    Plan.kpis.gardenMowed = mowed.tended;
+    const warnings = [];
+    if (Settings.enableHandymen){
+      for (const g of Plan.gardens){
+        if (g.tiles.length < Settings.gardenLargeTiles || Array.from(g.reach).some(id=>watered.near.has(id))) continue;
+        warnings.push(issue("warning", `${g.name} near ${g.centre.x},${g.centre.y} (${g.tiles.length} planted tiles) has no handyman watering it.`, { tiles: g.reach, at: g.centre, target: g.name }));
+      }
+      if (Settings.gardenMode === "Dedicated gardeners" && !Plan.gardens.length) warnings.push(issue("info", "No flowerbeds next to paths; no gardeners needed."));
+    }
+    for (const w of warnings) w.garden = true;
+    return warnings;
+  }
+
+  function refreshGardenKpis(){
+    if (!Plan.built) return;
+    Plan.warnings = Plan.warnings.filter(w=>!w.garden).concat(gardenKpis());
+    showStatus();
+  }
+
+  function showStatus(){
+    const k = Plan.kpis;
+    const ratio = k.validPathTiles ? Math.round(100*k.coveredTiles / k.validPathTiles) : 0;
+    const lines = [
+      `Handyman coverage: ${ratio}% of valid path tiles`,
+      Plan.weighted
+        ? `Avg load/cleaner: ${k.handymanAvgLoad} (max ${k.handymanMaxLoad}), tiles ${k.handymanAvgTiles} (max ${k.handymanMaxTiles})`
+        : `Avg tiles/cleaner: ${k.handymanAvgTiles} (max ${k.handymanMaxTiles})`,
+      `Zones: heaviest +${k.zoneBalance}%, ${k.zoneBorders} border links, compactness ${k.zoneCompactness}%`,
+      `Mechanic clusters: ${k.mechClusters}, avg exits ${k.mechAvgExits}, longest route ${k.mechLongestRoute} tiles`,
+      `Food courts detected: ${Plan.foodCourts.length}`
+    ];
+    if (Settings.enableGuards) lines.push(`Guards: ${k.guardZones} zones, ${k.guardHotspots} hotspots (${k.guardBroken} broken)`);
+    if (Settings.enableEntertainers) lines.push(`Entertainers: ${k.entertainers} for ${k.queuesCovered} queues (longest ${k.longestQueue} tiles)`);
+    setLabel("lblKpi", lines.join("  |  "));
+    // The label only has room for the first few figures; the rest lead the notes in the list
+    const sb = k.staffBudget || staffBudget();
+    const kpiLines = [issue("info", `Staff cost: $${sb.before}/month now, $${sb.after} after Apply (${sb.hires} hired, ${sb.fired} fired)`)];
+    if (k.gardenPlanted || k.gardenGrass) kpiLines.push(issue("info", `Gardens: ${k.gardenWatered}/${k.gardenPlanted} planted tiles in reach of a waterer, ${k.gardenMowed}/${k.gardenGrass} grass of a mower`, { tiles: gardenReach("planted") }));
+    // With mess weighting, list each zone's raw tiles next to its weighted load
+    const zoneLines = Plan.weighted ? Plan.handymanZones.map(z=>issue("info", `${z.name}: ${z.tiles.size} tiles, load ${z.load}`, { tiles: z.tiles, target: z.name })) : [];
+    // Each mechanic cluster's combined breakdown risk, riskiest ride first
+    const riskLines = Settings.enableMechanics ? Plan.mechClusters.map((mc,i)=>{
+      const rides = mc.exits.map(ei=>Plan.mechExits[ei]).sort((a,b)=>(b.risk||0) - (a.risk||0)).map(e=>`${e.rideName} ${e.risk}`);
+      return issue("info", `${routeName(i)}: risk ${mc.risk}/${Settings.mechRiskCap} (${rides.join(", ")})`, { tiles: mc.tiles, target: routeName(i) });
+    }) : [];
+    // problems first, worst first; the KPIs and per-zone notes after them
+    const ranked = Plan.warnings.slice().sort((a,b)=>SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    const problems = ranked.filter(w=>w.severity !== "info");
+    setWarnings(problems.concat(kpiLines, ranked.filter(w=>w.severity === "info"), zoneLines, riskLines, staffLines()));
+    refreshStaffList();
+    refreshOrders();
+    refreshOverlay();
+  }
+
+  // Who Apply will send where (Plan.staff), one info record per zone and route
+  function staffLines(){
+    resetBudget(); // same order as planning: handymen, then mechanics
+    const who = (p, role)=>{
+      if (p.locked) return `${p.name} (locked, keeps current patrol)`;
+      if (p.id === undefined){
+        if (affordHires(role, 1)) return `new ${role} (hired on Apply)`;
+        return Settings.staffInsufficient === "Hire within budget" ? `no ${role} (over budget)` : `no ${role} available`;
+      }
+      if (p.applied) return `${p.name} (assigned on Apply)`;
+      if (typeof p.distance !== "number") return p.name || `${role} ${p.id}`; // saved before distances were kept
+      return `${p.name} (${p.inside ? "already inside" : p.distance >= 0 ? p.distance + " tiles away" : "can't walk there"})`;
+    };
+    const lines = [];
+    for (const p of Plan.staff.handymen || []){
+      const z = Plan.handymanZones[p.zoneIndex];
+      if (!z) continue;
+      lines.push(issue("info", z.locked ? `${z.name}: keeps current patrol` : `${z.name}${z.garden && z.kind !== "garden" ? " (garden)" : ""} [${ordersText(zoneOrders(z), HANDYMAN_ORDERS)}]: ${who(p, "handyman")}`, { tiles: z.tiles, target: z.name }));
+    }
+    for (const p of Plan.staff.mechanics || []){
+      const mc = Plan.mechClusters[p.clusterIndex];
+      if (!mc) continue;
+      const text = mc.locked ? `${routeName(p.clusterIndex)}: ${who(p, "mechanic")}` : `${routeName(p.clusterIndex)} [${ordersText(clusterOrders(mc), MECHANIC_ORDERS)}]: ${who(p, "mechanic")}`;
+      lines.push(issue("info", text, { tiles: mc.tiles, target: routeName(p.clusterIndex) }));
+    }
+    return lines;
+  }
+
+  // -----------------------------
+  // Map overlay (tile selection)
+  // -----------------------------
+  const Overlay = {
+    active: false,
+    layers: { zones: true, courts: true, routes: true, guards: true, entertainers: true },
+    focus: 0 // index into overlayFocusItems(); 0 = every enabled layer
+  };
+
+  // "All" first, then every zone, court and route individually
+  function overlayFocusItems(){
+    const items = [{ name: "All enabled layers", tiles: new Set() }];
+    for (const z of Plan.handymanZones) if (z.kind !== "foodCourt") items.push({ name: z.name, tiles: z.tiles, target: z });
+    for (const fc of Plan.foodCourts) items.push({ name: fc.name, tiles: fc.tiles, target: fc });
+    Plan.mechClusters.forEach((mc,i)=>items.push({ name: routeName(i), tiles: mc.tiles, target: mc }));
+    for (const gz of Plan.guardZones) items.push({ name: gz.name, tiles: gz.tiles, target: gz });
+    for (const ep of Plan.entertainerPatrols) items.push({ name: ep.name, tiles: ep.tiles, target: ep });
+    return items;
+  }
+
+  function overlayTiles(){
+    const ids = new Set();
+    const items = overlayFocusItems();
+    if (Overlay.focus > 0 && items[Overlay.focus]){
+      for (const id of items[Overlay.focus].tiles) ids.add(id);
+    } else {
+      if (Overlay.layers.zones) for (const z of Plan.handymanZones) if (z.kind !== "foodCourt") for (const id of z.tiles) ids.add(id);
+      if (Overlay.layers.courts) for (const fc of Plan.foodCourts) for (const id of fc.tiles) ids.add(id);
+      if (Overlay.layers.routes) for (const mc of Plan.mechClusters) for (const id of mc.tiles) ids.add(id);
+      if (Overlay.layers.guards) for (const gz of Plan.guardZones) for (const id of gz.tiles) ids.add(id);
+      if (Overlay.layers.entertainers) for (const ep of Plan.entertainerPatrols) for (const id of ep.tiles) ids.add(id);
+    }
+    return tileCoords(ids);
+  }
+
+  function tileCoords(ids){
+    const coords = [];
+    for (const id of ids){ const n = Plan.nodes[id]; if (n && !n.removed) coords.push({ x:n.x*32, y:n.y*32 }); }
+    return coords;
+  }
+
+  // Select these path nodes (or the one tile) and pan there; the overlay takes the selection back on its next refresh
+  function highlightTiles(ids, at){
+    const coords = tileCoords(ids);
+    if (!coords.length && at) coords.push({ x: at.x*32, y: at.y*32 });
+    safe(()=>{ ui.tileSelection.tiles = coords; }, null);
+    const c = at || (coords.length ? centroidOfTiles(ids) : null);
+    if (c) viewportPanTo(c.x, c.y, 0);
+  }
+
+  function refreshOverlay(){
+    try { getW("ddOvFocus").items = overlayFocusItems().map(f=>f.name); } catch {}
+    setDropdown("ddOvFocus", Overlay.focus);
+    refreshMinimap();
+    refreshDetails();
+    if (!Overlay.active || !Plan.built){ clearOverlay(); return; }
+    try { ui.tileSelection.tiles = overlayTiles(); } catch {}
+  }
+
+  function clearOverlay(){
+    try { if (ui.tileSelection) ui.tileSelection.tiles = []; } catch {}
+  }
+
+  // -----------------------------
+  // Minimap
+  // -----------------------------
+  // A resizable window drawing the plan on a custom widget, one look per layer ticked on the Overlay tab:
+  // path tiles in their handyman zone's colour, food courts hatched, guard zones checkered, entertainer
+  // patrols solid, mechanic route trees as lines through their exits. Custom widgets get no mouse
+  // events, so a grid of flat buttons laid over the map carries the hover tooltips and the clicks that
+  // pan the main view. The grid is sized from the window, about one button per 8 pixels and never less
+  // than a tile, so a click lands within a few pixels of the point under the pointer. An open window
+  // can't gain or drop widgets, so it is opened with the buttons its size needs and reopened in place
+  // when a resize needs more or leaves most of them unused; very large windows get coarser cells
+  // instead of ever more buttons. A resize is laid out once it has settled. What to draw is worked out once per plan change, not per frame.
+  const MINIMAP = { cell: 8, maxCells: 4800, settle: 10, pad: 6, top: 18 }; // cell pixels, button cap, frames a new size must hold, margins
+  // Palette indices (not colour ids): a mid shade from each of the palette's colour ramps
+  const MINIMAP_FILLS = { background: 10, path: 14, court: 198, hatch: 21, guard: 30, entertainer: 78, route: 21, exit: 21 };
+  const MINIMAP_ZONE_FILLS = [58, 102, 138, 174, 210, 66, 114, 150, 186, 222, 90, 162];
+  const Minimap = {
+    width: 0, height: 0, // window size the layout was made for
+    seen: null, held: 0, // size on the last frame and for how many frames it has held
+    scale: 1, ox: 0, oy: 0, // pixels per tile and map origin inside the widget
+    runs: [],   // [{x, y, len, fill}] horizontal runs of same-coloured tiles
+    lines: [],  // [[x1, y1, x2, y2]] route segments, tile coordinates
+    exits: [],  // [{x, y}]
+    cols: 0, rows: 0, // hover grid for the current window size
+    made: 0,    // hover buttons the window was opened with
+    buttons: [], // and those buttons, looked up once per window
+    shown: 0,   // buttons that may still be visible
+    cells: []   // [{x, y, tip}] per grid cell: tile to pan to and the hover text
+  };
+
+  // Map placement and hover grid for a window size
+  function minimapGrid(width, height){
+    const pw = Math.max(1, width - 2*MINIMAP.pad), ph = Math.max(1, height - MINIMAP.top - MINIMAP.pad);
+    const mw = Math.max(1, Plan.width || safe(()=>map.size.x, 1)), mh = Math.max(1, Plan.height || safe(()=>map.size.y, 1));
+    const scale = Math.min(pw / mw, ph / mh);
+    const cellPx = Math.max(MINIMAP.cell, scale);
+    let cols = Math.max(1, Math.min(mw, Math.round(mw * scale / cellPx)));
+    let rows = Math.max(1, Math.min(mh, Math.round(mh * scale / cellPx)));
+    if (cols * rows > MINIMAP.maxCells){
+      const f = Math.sqrt(MINIMAP.maxCells / (cols * rows));
+      cols = Math.max(1, Math.floor(cols * f)); rows = Math.max(1, Math.floor(rows * f));
+    }
+    return { pw, ph, mw, mh, scale, cols, rows };
+  }
+
+  // place: {x, y, width, height} to reopen a resized window where it was
+  function openMinimap(place){
+    const existing = ui.getWindow("auto-patrol-manager-minimap");
+    if (existing){ existing.bringToFront(); return; }
+    const width = place ? place.width : 320, height = place ? place.height : 260;
+    const grid = minimapGrid(width, height);
+    const cells = [];
+    for (let i=0; i<grid.cols*grid.rows; i++){
+      cells.push({ type:"button", name:`mmCell${i}`, x:0, y:0, width:1, height:1, border:false, text:"", tooltip:"", onClick:()=>minimapClick(i) });
+    }
+    const win = ui.openWindow(Object.assign(place ? { x: place.x, y: place.y } : {}, {
+      classification: "auto-patrol-manager-minimap",
+      title: "Plan minimap",
+      width, height,
+      minWidth: 160, minHeight: 140, maxWidth: 1200, maxHeight: 900,
+      colours: [24,24],
+      widgets: [{ type:"custom", name:"mmMap", x:MINIMAP.pad, y:MINIMAP.top, width:1, height:1, onDraw: drawMinimap }].concat(cells),
+      onUpdate: minimapResized,
+      onClose: ()=>{ Minimap.runs = []; Minimap.lines = []; Minimap.exits = []; Minimap.cells = []; Minimap.buttons = []; Minimap.width = 0; }
+    }));
+    // One pass over the widgets instead of a findWidget per button where the build lists them
+    Minimap.made = cells.length;
+    Minimap.buttons = safe(()=>win.widgets.filter(w=>/^mmCell\d+$/.test(w.name || "")), []);
+    if (Minimap.buttons.length !== cells.length) Minimap.buttons = cells.map(c=>safe(()=>win.findWidget(c.name), null));
+    Minimap.shown = cells.length;
+    refreshMinimap();
+  }
+
+  // Lay the window out again once a new size has held for a few frames, not on every frame of a drag
+  function minimapResized(){
+    const win = ui.getWindow("auto-patrol-manager-minimap");
+    if (!win) return;
+    const size = `${win.width}x${win.height}`;
+    if (size !== Minimap.seen){ Minimap.seen = size; Minimap.held = 0; return; }
+    if (win.width === Minimap.width && win.height === Minimap.height) return;
+    if (++Minimap.held >= MINIMAP.settle) refreshMinimap();
+  }
+
+  // Lay the widgets out for the window's size and rebuild what gets drawn
+  function refreshMinimap(){
+    const win = ui.getWindow("auto-patrol-manager-minimap");
+    if (!win) return;
+    const grid = minimapGrid(win.width, win.height);
+    const need = grid.cols * grid.rows;
+    if (need > Minimap.made || need * 4 < Minimap.made){ // too few buttons, or far too many left hidden
+      const place = { x: win.x, y: win.y, width: win.width, height: win.height };
+      win.close();
+      openMinimap(place);
+      return;
+    }
+    Minimap.width = win.width; Minimap.height = win.height;
+    const { pw, ph, mw, mh } = grid;
+    Minimap.scale = grid.scale;
+    Minimap.ox = Math.floor((pw - mw * Minimap.scale) / 2);
+    Minimap.oy = Math.floor((ph - mh * Minimap.scale) / 2);
+    const mapWidget = win.findWidget("mmMap");
+    if (mapWidget){ mapWidget.width = pw; mapWidget.height = ph; }
+
+    // Tile colours, later layers on top: zones, food courts hatched, guard zones on every other tile so
+    // the zone beneath still shows, entertainer patrols; paths in no ticked layer stay grey
+    const fill = new Map();
+    const layers = Overlay.layers;
+    const paint = (tiles, fillOf)=>{
+      for (const id of tiles){
+        const n = Plan.nodes[id], f = fillOf(n);
+        if (f !== undefined) fill.set(key(n.x,n.y), f);
+      }
+    };
+    if (Plan.built){
+      paint(Plan.validNodeIds, ()=>MINIMAP_FILLS.path);
+      if (layers.zones) Plan.handymanZones.forEach((z,i)=>{
+        if (z.kind === "foodCourt" || z.kind === "garden") return; // gardeners overlap other zones
+        paint(z.tiles, ()=>MINIMAP_ZONE_FILLS[i % MINIMAP_ZONE_FILLS.length]);
+      });
+      if (layers.courts) for (const fc of Plan.foodCourts) paint(fc.tiles, n=>(n.x + n.y) % 3 ? MINIMAP_FILLS.court : MINIMAP_FILLS.hatch);
+      if (layers.guards) for (const gz of Plan.guardZones) paint(gz.tiles, n=>(n.x + n.y) % 2 ? undefined : MINIMAP_FILLS.guard);
+      if (layers.entertainers) for (const ep of Plan.entertainerPatrols) paint(ep.tiles, ()=>MINIMAP_FILLS.entertainer);
+    }
+    Minimap.runs = [];
+    for (let y=0; y<mh; y++){
+      let run = null;
+      for (let x=0; x<mw; x++){
+        const f = fill.get(key(x,y));
+        if (run && f === run.fill && x === run.x + run.len){ run.len++; continue; }
+        run = f === undefined ? null : { x, y, len: 1, fill: f };
+        if (run) Minimap.runs.push(run);
+      }
+    }
+    Minimap.lines = [];
+    Minimap.exits = [];
+    for (const mc of Plan.built && layers.routes ? Plan.mechClusters : []){
+      for (const r of mc.routes){
+        const ids = r.pathIds || [];
+        for (let i=1; i<ids.length; i++){
+          const a = Plan.nodes[ids[i-1]], b = Plan.nodes[ids[i]];
+          if (a && b) Minimap.lines.push([a.x, a.y, b.x, b.y]);
+        }
+      }
+      for (const ei of mc.exits){ const e = Plan.mechExits[ei]; if (e) Minimap.exits.push({ x: e.x, y: e.y }); }
+    }
+    layoutMinimapCells(grid);
+  }
+
+  // Each hover cell covers a block of tiles; its tooltip names what runs through it, biggest first
+  function layoutMinimapCells(grid){
+    const { mw, mh, cols, rows } = grid;
+    const size = Minimap.scale;
+    Minimap.cols = cols; Minimap.rows = rows;
+    const names = [];
+    for (let i=0; i<cols*rows; i++) names.push(new Map());
+    const cellOf = (x,y)=>Math.min(rows-1, Math.floor(y * rows / mh)) * cols + Math.min(cols-1, Math.floor(x * cols / mw));
+    const count = (tiles, name, size)=>{
+      for (const id of tiles){
+        const n = Plan.nodes[id];
+        if (n) names[cellOf(n.x, n.y)].set(name, size);
+      }
+    };
+    const layers = Overlay.layers;
+    if (Plan.built){
+      for (const z of Plan.handymanZones) if (z.kind === "foodCourt" ? layers.courts : layers.zones) count(z.tiles, z.name, z.tiles.size);
+      if (layers.routes) Plan.mechClusters.forEach((mc,i)=>count(mc.tiles, routeName(i), mc.tiles.size));
+      if (layers.guards) for (const gz of Plan.guardZones) count(gz.tiles, gz.name, gz.tiles.size);
+      if (layers.entertainers) for (const ep of Plan.entertainerPatrols) count(ep.tiles, ep.name, ep.tiles.size);
+    }
+    Minimap.cells = names.map((found, i)=>{
+      const c = i % cols, r = Math.floor(i / cols);
+      const x0 = Math.floor(c * mw / cols), x1 = Math.floor((c+1) * mw / cols);
+      const y0 = Math.floor(r * mh / rows), y1 = Math.floor((r+1) * mh / rows);
+      const btn = Minimap.buttons[i];
+      const tip = Array.from(found).sort((a,b)=>b[1]-a[1]).map(([name, n])=>`${name}: ${n} tiles`).join(", ");
+      if (btn){
+        btn.x = MINIMAP.pad + Minimap.ox + Math.floor(x0 * size);
+        btn.y = MINIMAP.top + Minimap.oy + Math.floor(y0 * size);
+        btn.width = Math.max(1, Math.floor(x1 * size) - Math.floor(x0 * size));
+        btn.height = Math.max(1, Math.floor(y1 * size) - Math.floor(y0 * size));
+        btn.tooltip = tip || "No planned paths here";
+        if (i >= Minimap.shown) btn.isVisible = true;
+      }
+      return { x: Math.floor((x0 + x1) / 2), y: Math.floor((y0 + y1) / 2), tip };
+    });
+    for (let i=cols*rows; i<Minimap.shown; i++) if (Minimap.buttons[i]) Minimap.buttons[i].isVisible = false;
+    Minimap.shown = cols*rows;
+  }
+
+  function drawMinimap(g){
+    const s = Minimap.scale, ox = Minimap.ox, oy = Minimap.oy;
+    const px = Math.max(1, Math.ceil(s));
+    g.stroke = 0;
+    g.fill = MINIMAP_FILLS.background;
+    g.rect(0, 0, Math.max(1, Minimap.width - 2*MINIMAP.pad), Math.max(1, Minimap.height - MINIMAP.top - MINIMAP.pad));
+    for (const r of Minimap.runs){
+      g.fill = r.fill;
+      g.rect(ox + Math.floor(r.x * s), oy + Math.floor(r.y * s), Math.max(px, Math.ceil(r.len * s)), px);
+    }
+    const mid = v=>Math.floor((v + 0.5) * s);
+    g.stroke = MINIMAP_FILLS.route;
+    for (const [x1, y1, x2, y2] of Minimap.lines) g.line(ox + mid(x1), oy + mid(y1), ox + mid(x2), oy + mid(y2));
+    g.stroke = 0;
+    g.fill = MINIMAP_FILLS.exit;
+    for (const e of Minimap.exits) g.rect(ox + mid(e.x) - 1, oy + mid(e.y) - 1, 3, 3);
+  }
+
+  function minimapClick(i){
+    const c = Minimap.cells[i];
+    if (c) viewportPanTo(c.x, c.y, 0);
+  }
+
+  // -----------------------------
+  // Plan details
+  // -----------------------------
+  // A tabbed list of every handyman zone, food court and mechanic cluster; selecting a row highlights
+  // it on the map and pans there.
+  const DETAIL_TABS = [
+    { image: TAB_IMAGES.overlay, title: "Handyman zones", columns: [["Zone",130],["Type",70],["Tiles",40],["Load",40],["Staff",130],["Centre",60]] },
+    { image: TAB_IMAGES.data, title: "Food courts", columns: [["Court",130],["Tiles",40],["Cleaners",60],["Staff",130],["Centre",60]] },
+    { image: TAB_IMAGES.roles, title: "Mechanic clusters", columns: [["Route",110],["Exits",40],["Tiles",40],["Risk",40],["Staff",110],["Rides",150]] }
+  ];
+  const Details = { rows: [] }; // [{tiles, at}] per row of the open tab
+
+  function openDetails(){
+    const existing = ui.getWindow("auto-patrol-manager-details");
+    if (existing){ existing.bringToFront(); return; }
+    ui.openWindow({
+      classification: "auto-patrol-manager-details",
+      title: "Plan details",
+      width: 520, height: 270,
+      colours: [24,24],
+      tabs: DETAIL_TABS.map(t=>({ image: t.image, widgets: [
+        { type:"label", name:"lblDetail", x:10, y:48, width:500, height:12, text:t.title },
+        table("lstDetail", 10, 64, 500, 180, t.columns, i=>{ const r = Details.rows[i]; if (r) highlightTiles(r.tiles, r.at); }),
+        { type:"label", x:10, y:250, width:500, height:12, text:"Click a row to highlight it on the map." }
+      ] })),
+      onTabChange: refreshDetails,
+      onClose: ()=>{ Details.rows = []; }
+    });
+    refreshDetails();
+  }
+
+  function refreshDetails(){
+    const win = ui.getWindow("auto-patrol-manager-details");
+    if (!win) return;
+    const rows = [], items = [];
+    const centre = c=>c ? `${c.x},${c.y}` : "";
+    if (Plan.built && win.tabIndex === 0){
+      Plan.handymanZones.forEach((z,i)=>{
+        if (z.kind === "foodCourt") return;
+        rows.push({ tiles: z.tiles, at: z.centroid });
+        items.push([z.name, z.kind, String(z.tiles.size), String(z.load || z.tiles.size),
+          targetStaff(z.staffId, (Plan.staff.handymen || []).find(p=>p.zoneIndex === i)), centre(z.centroid)]);
+      });
+    } else if (Plan.built && win.tabIndex === 1){
+      for (const fc of Plan.foodCourts){
+        const i = Plan.handymanZones.findIndex(z=>z.kind === "foodCourt" && z.name === fc.name);
+        const z = Plan.handymanZones[i];
+        rows.push({ tiles: fc.tiles, at: fc.center });
+        items.push([fc.name, String(fc.tiles.size), String(fc.staffNeeded || 1),
+          z ? targetStaff(z.staffId, (Plan.staff.handymen || []).find(p=>p.zoneIndex === i)) : "", centre(fc.center)]);
+      }
+    } else if (Plan.built){
+      Plan.mechClusters.forEach((mc,i)=>{
+        const exits = mc.exits.map(ei=>Plan.mechExits[ei]).filter(Boolean);
+        rows.push({ tiles: mc.tiles, at: exits[0] || null });
+        items.push([routeName(i), String(exits.length), String(mc.tiles.size), String(mc.risk),
+          targetStaff(mc.staffId, (Plan.staff.mechanics || []).find(p=>p.clusterIndex === i)), exits.map(e=>`${e.rideName} (${e.x},${e.y})`).join(", ")]);
+      });
+    }
+    Details.rows = rows;
+    try { win.findWidget("lstDetail").items = items; } catch {}
+    try { win.findWidget("lblDetail").text = `${DETAIL_TABS[win.tabIndex].title}: ${items.length}`; } catch {}
+  }
+
+  // -----------------------------
+  // Saved plans (park storage)
+  // -----------------------------
+  // Plans are stored by tile coordinates, never node ids: ids only hold for one graph build. Patrols
+  // are per tile, so a saved tile brings back every path level on it.
+  const PLAN_SCHEMA = 1;
+  const MONTH_NAMES = ["March","April","May","June","July","August","September","October"];
+
+  function gameDateText(){
+    return safe(()=>`${MONTH_NAMES[date.month]} ${date.day}, Year ${date.year}`, "");
+  }
+
+  function flattenTiles(ids){
+    const out = [];
+    const seen = new Set();
+    for (const id of ids){
+      const n = Plan.nodes[id];
+      if (!n || seen.has(key(n.x,n.y))) continue;
+      seen.add(key(n.x,n.y));
+      out.push(n.x, n.y);
+    }
+    return out;
+  }
+
+  function serialisePlan(name){
+    return {
+      schema: PLAN_SCHEMA,
+      name,
+      savedAt: gameDateText(),
+      settings: settingsRecord(),
+      weighted: Plan.weighted,
+      handymanZones: Plan.handymanZones.map(z=>({ name:z.name, kind:z.kind, staffId:z.staffId, tiles:flattenTiles(z.tiles) })),
+      foodCourts: Plan.foodCourts.map(fc=>({ name:fc.name, center:fc.center, staffNeeded:fc.staffNeeded, tiles:flattenTiles(fc.tiles) })),
+      mechExits: Plan.mechExits.map(e=>({ x:e.x, y:e.y, z:e.z, rideId:e.rideId, rideName:e.rideName })),
+      mechClusters: Plan.mechClusters.map(mc=>({
+        exits: mc.exits.slice(),
+        staffId: mc.staffId,
+        locked: !!mc.locked,
+        orders: mc.orders,
+        name: mc.name,
+        tiles: flattenTiles(mc.tiles),
+        routes: mc.routes.map(r=>({ from:r.from, to:r.to, path:flattenTiles(r.pathIds) }))
+      })),
+      entertainerPatrols: Plan.entertainerPatrols.map(ep=>({ name:ep.name, rides:ep.rides, queueTiles:ep.queueTiles, guests:ep.guests, staffId:ep.staffId, tiles:flattenTiles(ep.tiles) })),
+      guardZones: Plan.guardZones.map(gz=>({ name:gz.name, hotspots:gz.hotspots, load:gz.load, staffId:gz.staffId, tiles:flattenTiles(gz.tiles) })),
+      staff: JSON.parse(JSON.stringify(Plan.staff))
+    };
+  }
+
+  // Map saved coordinates onto the current graph, counting tiles that are no longer valid paths
+  function resolveTiles(flat, stats){
+    const ids = new Set();
+    for (let i=0; i+1<flat.length; i+=2){
+      const levels = nodesAt(flat[i], flat[i+1]).filter(id=>Plan.validNodeIds.has(id));
+      if (!levels.length) stats.missing++;
+      for (const id of levels) ids.add(id);
+    }
+    return ids;
+  }
+
+  // Rebuild the graph from today's map, then load a saved plan on top of it and flag drift
+  function restorePlan(rec){
+    onReset();
+    runNow(buildPathGraph());
+    runNow(pruneSceneryBranches());
+    if (Settings.enableHandymen) runNow(findGardens());
+
+    const drift = [];
+    for (const z of rec.handymanZones || []){
+      const stats = { missing:0 };
+      const tiles = resolveTiles(z.tiles || [], stats);
+      if (stats.missing) drift.push(issue("warning", `${z.name}: ${stats.missing} saved tiles are no longer paths.`, { tiles, target: z.name }));
+      if (tiles.size) Plan.handymanZones.push({ tiles, centroid: centroidOfTiles(tiles), name: z.name, kind: z.kind || "general", locked: z.kind === "locked", staffId: z.staffId });
+    }
+    for (const fc of rec.foodCourts || []){
+      const stats = { missing:0 };
+      const tiles = resolveTiles(fc.tiles || [], stats);
+      if (stats.missing) drift.push(issue("warning", `${fc.name}: ${stats.missing} saved tiles are no longer paths.`, { tiles, target: fc.name }));
+      if (!tiles.size) continue;
+      for (const t of tiles) Plan.reservedFoodTiles.add(t);
+      Plan.foodCourts.push({ tiles, center: fc.center, name: fc.name, staffNeeded: fc.staffNeeded });
+    }
+    Plan.kpis.foodCourts = Plan.foodCourts.length;
+
+    Plan.mechExits = (rec.mechExits || []).map(e=>{
+      const id = nodeAtHeight(e.x, e.y, e.z || 0);
+      const ok = id !== undefined && Plan.validNodeIds.has(id);
+      if (!ok) drift.push(issue("error", `Exit of ${e.rideName} at ${e.x},${e.y} is no longer on the path network.`, { at: { x: e.x, y: e.y } }));
+      return { nodeId: ok ? id : -1, x:e.x, y:e.y, z:e.z || 0, rideId:e.rideId, rideName:e.rideName };
+    });
+    assignExitRisk();
+    (rec.mechClusters || []).forEach((mc, i)=>{
+      const stats = { missing:0 };
+      const tiles = resolveTiles(mc.tiles || [], stats);
+      if (stats.missing) drift.push(issue("warning", `${mc.name || `Mechanic route ${i+1}`}: ${stats.missing} route tiles are no longer paths.`, { tiles, target: mc.name || `Mechanic route ${i+1}` }));
+      const routes = (mc.routes || []).map(r=>({ from:r.from, to:r.to, pathIds: Array.from(resolveTiles(r.path || [], { missing:0 })) }));
+      Plan.mechClusters.push({ exits: (mc.exits || []).slice(), tiles, routes, staffId: mc.staffId, locked: !!mc.locked, orders: typeof mc.orders === "number" ? mc.orders : undefined, name: mc.name || undefined });
+    });
+
+    for (const gz of rec.guardZones || []){
+      const stats = { missing:0 };
+      const tiles = resolveTiles(gz.tiles || [], stats);
+      if (stats.missing) drift.push(issue("warning", `${gz.name}: ${stats.missing} saved tiles are no longer paths.`, { tiles, target: gz.name }));
+      if (tiles.size) Plan.guardZones.push({ tiles, centroid: centroidOfTiles(tiles), name: gz.name, kind: "guard", hotspots: gz.hotspots, load: gz.load, staffId: gz.staffId });
+    }
+
+    for (const ep of rec.entertainerPatrols || []){
+      const tiles = new Set();
+      const flat = ep.tiles || [];
+      let missing = 0;
+      for (let i=0; i+1<flat.length; i+=2){
+        // queue tiles are not in validNodeIds, so resolve against either layer
+        const levels = nodesAt(flat[i], flat[i+1]).filter(id=>Plan.validNodeIds.has(id) || Plan.queueNodeIds.has(id));
+        if (!levels.length) missing++;
+        for (const id of levels) tiles.add(id);
+      }
+      if (missing) drift.push(issue("warning", `${ep.name}: ${missing} saved tiles are no longer paths or queues.`, { tiles, target: ep.name }));
+      if (tiles.size) Plan.entertainerPatrols.push({ tiles, centroid: centroidOfTiles(tiles), name: ep.name, kind: "entertainer", rides: ep.rides || [], queueTiles: ep.queueTiles, guests: ep.guests, staffId: ep.staffId });
+    }
+
+    Plan.weighted = !!rec.weighted;
+    if (rec.staff) Plan.staff = { handymen: rec.staff.handymen || [], mechanics: rec.staff.mechanics || [] };
+
+    computeKpis();
+
+    // Paths built since the plan was saved
+    const covered = new Set();
+    for (const z of Plan.handymanZones) for (const t of z.tiles) covered.add(t);
+    const uncovered = [];
+    for (const id of Plan.validNodeIds) if (!covered.has(id)) uncovered.push(id);
+    if (Settings.enableHandymen && uncovered.length) drift.push(issue("error", `${uncovered.length} path tiles are not covered by this plan (new paths since it was saved?).`, { tiles: uncovered, at: Plan.nodes[uncovered[0]] }));
+
+    Plan.warnings = drift.concat(Plan.warnings);
+    Plan.name = rec.name;
+    setLabel("lblPlan", "Active plan: " + rec.name + (drift.length ? ` (${drift.length} changes since saved)` : ""));
+    showStatus();
+  }
+
+  function readSavedPlans(){
+    const all = readStored(parkStore(), "plans");
+    return (all && typeof all === "object") ? all : {};
+  }
+
+  function listSavedPlans(){
+    const all = readSavedPlans();
+    return Object.keys(all).sort().map(n=>all[n]).filter(p=>p && p.schema === PLAN_SCHEMA);
+  }
+
+  function refreshPlansList(){
+    try {
+      getW("lstPlans").items = listSavedPlans().map(p=>[
+        p.name, p.savedAt || "", String((p.handymanZones||[]).length), String((p.foodCourts||[]).length), String((p.mechClusters||[]).length)
+      ]);
+    } catch {}
+  }
+
+  function onSavePlan(){
+    if (!Plan.built){
+      ui.showError("No plan yet","Click Preview first to build a plan.");
+      return;
+    }
+    ui.showTextInput({
+      title: "Save plan",
+      description: "Name for this plan (an existing plan with the same name is replaced):",
+      initialValue: Plan.name || `Plan ${listSavedPlans().length+1}`,
+      maxLength: 32,
+      callback: (text)=>{
+        const name = String(text||"").trim();
+        if (!name) return;
+        flushTraffic();
+        const all = readSavedPlans();
+        all[name] = serialisePlan(name);
+        if (!writeStored(parkStore(), "plans", all)){
+          ui.showError("Cannot save plan","Park storage is not available on this build.");
+          return;
+        }
+        Plan.name = name;
+        UiState.selectedPlan = name;
+        setLabel("lblPlan", "Active plan: " + name);
+        refreshPlansList();
+      }
+    });
+  }
+
+  function onLoadPlan(){
+    const rec = UiState.selectedPlan ? readSavedPlans()[UiState.selectedPlan] : null;
+    if (!rec){
+      ui.showError("No plan selected","Select a saved plan in the list first.");
+      return;
+    }
+    restorePlan(rec);
+  }
+
+  function onDeletePlan(){
+    const all = readSavedPlans();
+    if (!UiState.selectedPlan || !all[UiState.selectedPlan]){
+      ui.showError("No plan selected","Select a saved plan in the list first.");
+      return;
+    }
+    delete all[UiState.selectedPlan];
+    writeStored(parkStore(), "plans", all);
+    if (Plan.name === UiState.selectedPlan){ Plan.name = null; setLabel("lblPlan","Active plan: (unsaved)"); }
+    UiState.selectedPlan = null;
+    refreshPlansList();
+  }
+
+  // -----------------------------
+  // Export / import
+  // -----------------------------
+  // The game has no clipboard or file access for plugins, so exports open in a text box to copy
+  // from, and imports are pasted into one. The JSON is a saved-plan record plus the
+  // map size it was made on; an import is checked against this map and then loaded like a saved plan.
+  function onExportJson(){
+    if (!Plan.built){ ui.showError("No plan yet","Click Preview first to build a plan."); return; }
+    const rec = serialisePlan(Plan.name || "Exported plan");
+    rec.mapSize = safe(()=>({ x: map.size.x, y: map.size.y }), null);
+    showExport("Export plan (JSON)", JSON.stringify(rec));
+  }
+
+  function onExportCsv(){
+    if (!Plan.built){ ui.showError("No plan yet","Click Preview first to build a plan."); return; }
+    showExport("Export stats (CSV)", planCsv());
+  }
+
+  function showExport(title, text){
+    ui.showTextInput({ title, description: "Select all and copy.", initialValue: text, maxLength: text.length, callback: ()=>{} });
+  }
+
+  // One row per zone, court, route and patrol
+  function planCsv(){
+    const cell = v=>{
+      const t = v === undefined || v === null ? "" : String(v);
+      return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    };
+    const who = targetStaff;
+    const rows = [["type","name","tiles","load","orders","staff","x","y","exits","risk","longest_route"]];
+    Plan.handymanZones.forEach((z,i)=>{
+      const orders = zoneOrders(z);
+      rows.push([z.kind === "foodCourt" ? "food court" : z.kind === "general" ? "handyman zone" : `${z.kind} zone`, z.name, z.tiles.size, z.load,
+        orders === null ? "" : ordersText(orders, HANDYMAN_ORDERS), who(z.staffId, (Plan.staff.handymen || []).find(p=>p.zoneIndex === i)),
+        z.centroid.x, z.centroid.y, "", "", ""]);
+    });
+    Plan.mechClusters.forEach((mc,i)=>{
+      const ex = Plan.mechExits[mc.exits[0]] || {};
+      const longest = mc.routes.reduce((a,r)=>Math.max(a, r.pathIds ? r.pathIds.length : 0), 0);
+      const orders = clusterOrders(mc);
+      rows.push(["mechanic route", routeName(i), mc.tiles.size, "", orders === null ? "" : ordersText(orders, MECHANIC_ORDERS),
+        who(mc.staffId, (Plan.staff.mechanics || []).find(p=>p.clusterIndex === i)), ex.x, ex.y, mc.exits.length, mc.risk, longest]);
+    });
+    for (const gz of Plan.guardZones) rows.push(["guard zone", gz.name, gz.tiles.size, gz.load, "", who(gz.staffId), gz.centroid.x, gz.centroid.y, "", "", ""]);
+    for (const ep of Plan.entertainerPatrols) rows.push(["entertainer patrol", ep.name, ep.tiles.size, "", "", who(ep.staffId), ep.centroid.x, ep.centroid.y, "", "", ""]);
+    return rows.map(r=>r.map(cell).join(",")).join("\n");
+  }
+
+  // Staff on a target: whoever Apply gave it, else the Preview proposal ("(to hire)" when nobody's left)
+  function targetStaff(staffId, proposal){
+    const s = staffId !== undefined ? findStaffById(staffId) : proposal && proposal.id !== undefined ? findStaffById(proposal.id) : null;
+    return s ? staffName(s) : proposal && proposal.id === undefined ? "(to hire)" : "";
+  }
+
+  function onImportJson(){
+    ui.showTextInput({
+      title: "Import plan",
+      description: "Paste a plan exported as JSON (from a copy of this park):",
+      initialValue: "",
+      maxLength: 1000000,
+      callback: (text)=>{
+        let rec = null;
+        try { rec = JSON.parse(String(text||"")); } catch (e) {
+          ui.showError("Cannot import plan", "That isn't valid JSON.");
+          return;
+        }
+        const problem = importProblem(rec);
+        if (problem){ ui.showError("Cannot import plan", problem); return; }
+        restorePlan(rec); // the preview, ready for Apply; drift shows in the warnings
+      }
+    });
+  }
+
+  // Why a pasted record can't be loaded on this map, or null
+  function importProblem(rec){
+    if (!rec || typeof rec !== "object" || Array.isArray(rec)) return "Expected a plan object.";
+    if (rec.schema !== PLAN_SCHEMA) return `Unsupported plan format (schema ${rec.schema}, expected ${PLAN_SCHEMA}).`;
+    if (typeof rec.name !== "string" || !rec.name.trim()) return "The plan has no name.";
+    const w = map.size.x, h = map.size.y;
+    if (rec.mapSize && (rec.mapSize.x !== w || rec.mapSize.y !== h)) return `The plan was made on a ${rec.mapSize.x}x${rec.mapSize.y} map; this one is ${w}x${h}.`;
+    const lists = [["handymanZones", "tiles"], ["foodCourts", "tiles"], ["mechClusters", "tiles"], ["guardZones", "tiles"], ["entertainerPatrols", "tiles"]];
+    let bad = 0;
+    const onMap = (x,y)=>Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < w && y < h;
+    for (const [field, tiles] of lists){
+      if (rec[field] === undefined) continue;
+      if (!Array.isArray(rec[field])) return `"${field}" should be a list.`;
+      for (const item of rec[field]){
+        const flat = item && item[tiles];
+        if (!Array.isArray(flat) || flat.length % 2) return `A tile list in "${field}" is malformed.`;
+        for (let i=0; i<flat.length; i+=2) if (!onMap(flat[i], flat[i+1])) bad++;
+      }
+    }
+    if (rec.mechExits !== undefined && !Array.isArray(rec.mechExits)) return `"mechExits" should be a list.`;
+    const exits = rec.mechExits || [];
+    for (const e of exits) if (!e || !onMap(e.x, e.y)) bad++;
+    for (const mc of rec.mechClusters || []){
+      if (mc.exits !== undefined && !Array.isArray(mc.exits)) return `A mechanic cluster's "exits" should be a list.`;
+      if ((mc.exits || []).some(ei=>!Number.isInteger(ei) || ei < 0 || ei >= exits.length)) return `A mechanic cluster refers to an exit that isn't in "mechExits".`;
+      if (mc.routes !== undefined && (!Array.isArray(mc.routes) || mc.routes.some(r=>!r || typeof r !== "object"))) return `A mechanic cluster's "routes" should be a list of routes.`;
+    }
+    if (rec.staff !== undefined){
+      if (!rec.staff || typeof rec.staff !== "object" || Array.isArray(rec.staff)) return `"staff" should be an object.`;
+      for (const role of ["handymen", "mechanics"]) if (rec.staff[role] !== undefined && !Array.isArray(rec.staff[role])) return `"staff.${role}" should be a list.`;
+    }
+    if (bad) return `${bad} tile coordinate${bad === 1 ? " is" : "s are"} outside this ${w}x${h} map; is this plan from another park?`;
+    return null;
+  }
+
+  // -----------------------------
+  // Apply (best-effort, feature-detected)
+  // -----------------------------
+  // Apply first lists what would change against the staff's current patrol areas in a confirmation
+  // window; only the ticked rows are carried out (hiring included).
+  const ROLE_NAMES = { handyman: "Handyman", mechanic: "Mechanic", security: "Security guard", entertainer: "Entertainer" };
+  const Confirm = { rows: [] };
+
+  function staffCount(n, role){
+    const name = ROLE_NAMES[role].toLowerCase();
+    return `${n} ${n === 1 ? name : role === "handyman" ? "handymen" : name + "s"}`;
+  }
+
+  function onApply(){
+    if (!Plan.built){
+      ui.showError("No plan yet","Click Preview first to build a plan.");
+      return;
+    }
+    Confirm.rows = planChanges();
+    if (!Confirm.rows.length){
+      ui.showError("Nothing to apply","The plan has no zones or routes for the enabled roles.");
+      return;
+    }
+    openConfirmWindow();
+  }
+
+  // One row per zone / route / patrol the plan (re)assigns: who takes it, tiles added to and removed
+  // from their current patrol area, and whether they'd be moved or hired. Locked targets are left out.
+  // Unassigned staff get a row of their own when surplus staff are fired or made floaters.
+  function planChanges(){
+    const rows = [];
+    resetBudget(); // same order as planning
+    const add = (role, targets, roster, picks, nameOf, spotOf)=>{
+      const used = new Set();
+      targets.forEach((t,i)=>{
+        if (t.locked) return;
+        const staff = picks[i] || null;
+        if (staff) used.add(staff.id);
+        const hire = !staff && affordHires(role, 1) === 1;
+        const want = tileKeys(t.tiles);
+        const have = (staff && readPatrolKeys(staff)) || new Set();
+        let added = 0, removed = 0;
+        for (const k of want) if (!have.has(k)) added++;
+        for (const k of have) if (!want.has(k)) removed++;
+        let move = hire && Settings.spawnNewInsideZone;
+        if (staff && Settings.moveExistingToZone){
+          const at = staffNode(staff);
+          move = !(at.off === 0 && t.tiles.has(at.id));
+        }
+        rows.push({ role, target: t, index: i, name: nameOf(t,i), spot: spotOf(t), staff, hire, added, removed, move, ticked: !!staff || hire });
+      });
+      const surplus = { "Fire": "fire", "Floaters": "floater" }[Settings.surplusStaff];
+      if (!surplus) return;
+      for (const s of roster){
+        if (used.has(s.id)) continue;
+        const have = readPatrolKeys(s);
+        rows.push({ role, target: null, name: "(not needed)", spot: null, staff: s, hire: false, added: 0, removed: have ? have.size : 0, move: false, surplus, ticked: true });
+      }
+    };
+    if (Settings.enableHandymen){
+      const zones = Plan.handymanZones, roster = unlockedStaff(getAllHandymen());
+      add("handyman", zones, roster, assignedStaff(Plan.staff.handymen, "zoneIndex", zones, roster), z=>z.name, z=>z.centroid);
+    }
+    if (Settings.enableMechanics){
+      const clusters = Plan.mechClusters, roster = unlockedStaff(getAllMechanics());
+      // spawn / move to the route's first exit
+      add("mechanic", clusters, roster, assignedStaff(Plan.staff.mechanics, "clusterIndex", clusters, roster),
+        (mc,i)=>routeName(i), mc=>{ const ex = Plan.mechExits[mc.exits[0]]; return { x: ex.x, y: ex.y }; });
+    }
+    if (Settings.enableGuards){
+      const roster = unlockedStaff(getAllGuards());
+      add("security", Plan.guardZones, roster, roster, z=>z.name, z=>z.centroid);
+    }
+    if (Settings.enableEntertainers){
+      const roster = unlockedStaff(getAllEntertainers());
+      add("entertainer", Plan.entertainerPatrols, roster, roster, p=>p.name, p=>p.centroid);
+    }
+    return rows;
+  }
+
+  function tileKeys(tiles){
+    const keys = new Set();
+    for (const id of tiles) keys.add(key(Plan.nodes[id].x, Plan.nodes[id].y));
+    return keys;
+  }
+
+  function openConfirmWindow(){
+    ui.closeWindows("auto-patrol-manager-confirm");
+    ui.openWindow({
+      classification: "auto-patrol-manager-confirm",
+      title: "Confirm Apply",
+      width: 560,
+      height: 330,
+      colours: [24,24],
+      widgets: [
+        label("lblConfirmHint", 10, 20, "Click a row to tick or untick that change; only ticked rows are applied."),
+        table("lstChanges", 10, 36, 540, 214, [["Apply",40],["Staff",120],["Role",90],["Assignment",120],["+ Tiles",50],["- Tiles",50],["Action",60]], toggleChange),
+        label("lblConfirmCoverage", 10, 256, ""),
+        label("lblConfirmMechanics", 10, 270, ""),
+        label("lblConfirmCost", 10, 284, ""),
+        button("btnTickAll", 10, 306, 80, 16, "Tick all", ()=>{ for (const r of Confirm.rows) if (r.staff || r.hire) r.ticked = true; refreshConfirm(); }),
+        button("btnUntickAll", 100, 306, 80, 16, "Untick all", ()=>{ for (const r of Confirm.rows) r.ticked = false; refreshConfirm(); }),
+        button("btnConfirmApply", 360, 306, 100, 16, "Apply ticked", confirmApply),
+        button("btnConfirmCancel", 470, 306, 80, 16, "Cancel", ()=>ui.closeWindows("auto-patrol-manager-confirm"))
+      ],
+      onClose: ()=>{ Confirm.rows = []; }
+    });
+    refreshConfirm();
+  }
+
+  function toggleChange(item){
+    const r = Confirm.rows[item];
+    if (!r || (!r.staff && !r.hire)) return; // nobody to give it to
+    r.ticked = !r.ticked;
+    refreshConfirm();
+  }
+
+  function refreshConfirm(){
+    const w = ui.getWindow("auto-patrol-manager-confirm");
+    if (!w) return;
+    const set = (name, fn)=>{ try { fn(w.findWidget(name)); } catch {} };
+    set("lstChanges", lst=>{ lst.items = Confirm.rows.map(r=>[
+      r.staff || r.hire ? (r.ticked ? "[x]" : "[ ]") : "-",
+      r.staff ? staffName(r.staff) : r.hire ? `(new ${ROLE_NAMES[r.role].toLowerCase()})` : "(nobody available)",
+      ROLE_NAMES[r.role], r.name, "+" + r.added, "-" + r.removed,
+      r.surplus === "fire" ? "Fire" : r.surplus ? "Floater" :
+      !r.staff && !r.hire ? "Skipped" : r.hire ? (r.move ? "Hire, place" : "Hire") : r.move ? "Move" : "Stays"
+    ]); });
+    const cov = coverageChange(Confirm.rows);
+    set("lblConfirmCoverage", l=>{ l.text = `Path coverage by handymen: ${cov.pathBefore}% -> ${cov.pathAfter}%`; });
+    set("lblConfirmMechanics", l=>{ l.text = `Ride exits in a mechanic patrol: ${cov.exitsBefore}/${cov.exits} -> ${cov.exitsAfter}/${cov.exits}`; });
+    const hires = Confirm.rows.filter(r=>r.ticked && r.hire);
+    const fired = Confirm.rows.filter(r=>r.ticked && r.surplus === "fire");
+    const before = Math.round(monthlyWages(getAllStaff()));
+    const after = Math.round(before + hires.reduce((a,r)=>a + STAFF_WAGES[r.role], 0) - monthlyWages(fired.map(r=>r.staff)));
+    set("lblConfirmCost", l=>{ l.text = `Staff cost: $${before} -> $${after} per month (${hires.length} hired, ${fired.length} fired)`; });
+    set("btnConfirmApply", b=>{ b.isDisabled = !Confirm.rows.some(r=>r.ticked); });
+  }
+
+  // Coverage now (current patrol areas) and after the ticked rows: valid path tiles inside any handyman's
+  // patrol, ride exits inside any mechanic's. Staff without a patrol area cover nothing here.
+  function coverageChange(rows){
+    const union = (role, list)=>{
+      const before = new Set(), after = new Set();
+      const changed = new Map();
+      for (const r of rows) if (r.role === role && r.ticked) {
+        if (r.staff) changed.set(r.staff.id, r);
+        else for (const k of tileKeys(r.target.tiles)) after.add(k);
+      }
+      for (const s of list){
+        const keys = readPatrolKeys(s) || new Set();
+        for (const k of keys) before.add(k);
+        const r = changed.get(s.id);
+        // fired staff and floaters (no target) end up with no patrol area
+        for (const k of r ? (r.target ? tileKeys(r.target.tiles) : []) : keys) after.add(k);
+      }
+      return { before, after };
+    };
+    const handy = union("handyman", getAllHandymen());
+    const mech = union("mechanic", getAllMechanics());
+    let pathBefore = 0, pathAfter = 0;
+    for (const id of Plan.validNodeIds){
+      const k = key(Plan.nodes[id].x, Plan.nodes[id].y);
+      if (handy.before.has(k)) pathBefore++;
+      if (handy.after.has(k)) pathAfter++;
+    }
+    let exitsBefore = 0, exitsAfter = 0;
+    for (const e of Plan.mechExits){
+      const k = key(e.x, e.y);
+      if (mech.before.has(k)) exitsBefore++;
+      if (mech.after.has(k)) exitsAfter++;
+    }
+    const pct = n=>Plan.validNodeIds.size ? Math.round(100 * n / Plan.validNodeIds.size) : 0;
+    return { pathBefore: pct(pathBefore), pathAfter: pct(pathAfter), exitsBefore, exitsAfter, exits: Plan.mechExits.length };
+  }
+
+  function confirmApply(){
+    const rows = Confirm.rows.filter(r=>r.ticked);
+    const skipped = Confirm.rows.length - rows.length;
+    ui.closeWindows("auto-patrol-manager-confirm");
+    let notes = [];
+    const before = rows.filter(r=>r.staff).map(r=>r.staff);
+    const hired = hireForRows(rows, notes);
+    if (rows.length) saveUndo(before, hired);
+    const applied = {};
+    for (const r of rows){
+      const who = r.staff ? staffName(r.staff) : "";
+      if (!r.staff){ notes.push(`No ${ROLE_NAMES[r.role].toLowerCase()} available for ${r.name}.`); continue; }
+      if (r.surplus === "fire"){ notes.push(tryFireStaff(r.staff) ? `Fired ${who}.` : `Could not fire ${who}.`); continue; }
+      if (r.surplus){ notes.push(trySetPatrolTiles(r.staff, []) ? `${who} is now a floater (no patrol area).` : `Could not clear the patrol area of ${who}.`); continue; }
+      const okPatrol = trySetPatrolArea(r.staff, r.target.tiles);
+      if (okPatrol){ r.target.staffId = r.staff.id; applied[r.role] = true; }
+      else notes.push(`Patrol API not available for ${who}; preview only.`);
+
+      const orders = r.role === "handyman" ? zoneOrders(r.target) : r.role === "mechanic" ? clusterOrders(r.target) : null;
+      if (orders !== null && !trySetOrders(r.staff, orders)) notes.push(`Could not set the orders of ${who}.`);
+      if (r.role === "entertainer" && Settings.entertainerCostume !== "Keep current" && !trySetCostume(r.staff, Settings.entertainerCostume)){
+        notes.push(`Could not change the costume of ${who}.`);
+      }
+      if (r.move && !tryMoveStaffTo(r.staff, r.spot.x, r.spot.y)){
+        notes.push(`Could not move ${who}; please place them near ${r.spot.x},${r.spot.y}.`);
+      }
+      setIdentity(r, notes);
+    }
+    recordAssignments(rows);
+    if (skipped) notes.push(`${skipped} change${skipped === 1 ? "" : "s"} unticked and left as is.`);
+    if (Plan.handymanZones.some(z=>z.locked) || Plan.mechClusters.some(mc=>mc.locked)) notes.push("Locked staff kept as is.");
+    if (Object.keys(applied).length) Plan.applied = true; // watch mode re-applies only a plan that took hold
+    showStatus(); // lists who now has each zone; refreshes the Staff tab
+
+    const summary = (role, enabled, what)=>enabled ? [applied[role] ? `${what} applied (where supported).` : `${what} previewed only.`] : [];
+    const msg = [
+      ...summary("handyman", Settings.enableHandymen, "Handyman zones"),
+      ...summary("mechanic", Settings.enableMechanics, "Mechanic routes"),
+      ...summary("security", Settings.enableGuards, "Guard zones"),
+      ...summary("entertainer", Settings.enableEntertainers, "Entertainer patrols"),
+      "",
+      "Notes:",
+      ...notes
+    ].join("\n");
+    ui.showTextInput({title:"Auto Patrol Manager", description:"Result summary (read-only).", initialValue:msg, callback:()=>{}});
+  }
+
+  // Hire for the ticked rows that need it, then hand the new staff out by travel like everyone else;
+  // returns the new staff ids
+  function hireForRows(rows, notes){
+    const ids = [];
+    const rosters = { handyman: getAllHandymen, mechanic: getAllMechanics, security: getAllGuards, entertainer: getAllEntertainers };
+    for (const role of Object.keys(rosters)){
+      const want = rows.filter(r=>r.hire && r.role === role);
+      if (!want.length) continue;
+      const before = new Set(rosters[role]().map(s=>s.id));
+      const hired = Api.canHireStaff ? tryHireStaff(role, want.length) : 0;
+      if (hired > 0) notes.push(`Hired ${staffCount(hired, role)}.`);
+      const missing = want.length - hired;
+      if (missing > 0) notes.push(`Could not hire ${staffCount(missing, role)}; ${missing === 1 ? "that target stays" : "those targets stay"} unstaffed.`);
+      const fresh = rosters[role]().filter(s=>!before.has(s.id));
+      for (const s of fresh) ids.push(s.id);
+      const picks = runNow(matchStaff(fresh, want.map(r=>r.target)));
+      want.forEach((r,k)=>{ if (picks[k]) r.staff = picks[k].staff; });
+    }
+    return ids;
+  }
+
+  // -----------------------------
+  // Undo last Apply
+  // -----------------------------
+  // Apply snapshots every staff member it is about to change (patrol tiles, position, orders, costume)
+  // and records whom it hired, in park storage so Undo survives a save and reload. One level only: the
+  // next Apply replaces the snapshot and Undo consumes it.
+  function snapshotStaff(list){
+    return list.map(s=>{
+      const keys = readPatrolKeys(s);
+      return {
+        id: s.id, name: staffName(s),
+        patrol: keys ? Array.from(keys) : null, // null: build doesn't expose it, leave it alone on Undo
+        x: s.x, y: s.y, z: s.z,
+        orders: safe(()=>s.orders, undefined),
+        costume: safe(()=>s.costume, undefined),
+        colour: safe(()=>s.colour, undefined)
+      };
+    });
+  }
+
+  function saveUndo(staff, hired){
+    writeStored(parkStore(), "undo", { date: gameDateText(), staff: snapshotStaff(staff), hired });
+    refreshUndo();
+  }
+
+  function openUndoWindow(){
+    const snap = readStored(parkStore(), "undo");
+    if (!snap) return;
+    const hired = (snap.hired || []).filter(id=>findStaffById(id));
+    const undo = (fire)=>{ ui.closeWindows("auto-patrol-manager-undo"); undoLastApply(fire); };
+    ui.closeWindows("auto-patrol-manager-undo");
+    ui.openWindow({
+      classification: "auto-patrol-manager-undo",
+      title: "Undo last Apply",
+      width: 260,
+      height: hired.length ? 112 : 92,
+      colours: [24,24],
+      widgets: [
+        label(10, 20, `Apply of ${snap.date || "an earlier session"}:`),
+        label(10, 34, `puts back the patrol area, position and orders`),
+        label(10, 48, `of ${(snap.staff || []).length} staff, ${hired.length} of them hired by it.`),
+        ...(hired.length ? [
+          button("btnUndoFire", 10, 68, 240, 16, "Undo and fire the new hires", ()=>undo(true)),
+          button("btnUndoKeep", 10, 88, 160, 16, "Undo, keep the new hires", ()=>undo(false))
+        ] : [
+          button("btnUndoKeep", 10, 68, 160, 16, "Undo", ()=>undo(false))
+        ]),
+        button("btnUndoCancel", 180, hired.length ? 88 : 68, 70, 16, "Cancel", ()=>ui.closeWindows("auto-patrol-manager-undo"))
+      ]
+    });
+  }
+
+  function undoLastApply(fireHires){
+    const snap = readStored(parkStore(), "undo");
+    if (!snap) return;
+    const notes = [];
+    let restored = 0, fired = 0;
+    for (const rec of snap.staff || []){
+      const s = findStaffById(rec.id);
+      if (!s){ notes.push(`${rec.name} has left the park; nothing to restore.`); continue; }
+      if (rec.patrol && !trySetPatrolTiles(s, rec.patrol.map(k=>k.split(",").map(Number)))) notes.push(`Could not restore the patrol area of ${rec.name}.`);
+      if (rec.x !== undefined && !tryPlaceStaff(s, { x: rec.x, y: rec.y, z: rec.z })) notes.push(`Could not move ${rec.name} back; they were near ${Math.floor(rec.x/32)},${Math.floor(rec.y/32)}.`);
+      if (rec.orders !== undefined && !trySetOrders(s, rec.orders)) notes.push(`Could not restore the orders of ${rec.name}.`);
+      if (rec.costume !== undefined && safe(()=>s.costume, undefined) !== rec.costume) safe(()=>{ s.costume = rec.costume; });
+      if (rec.name && staffName(s) !== rec.name && !trySetStaffName(s, rec.name)) notes.push(`Could not rename ${staffName(s)} back to ${rec.name}.`);
+      if (rec.colour !== undefined && safe(()=>s.colour, undefined) !== rec.colour) trySetStaffColour(s, rec.colour);
+      restored++;
+    }
+    const undone = new Set((snap.staff || []).map(r=>r.id));
+    for (const id of snap.hired || []){
+      const s = findStaffById(id);
+      if (!s || !fireHires) continue;
+      const name = staffName(s);
+      if (tryFireStaff(s)){ fired++; undone.add(id); }
+      else notes.push(`Could not fire ${name}.`);
+    }
+    // Forget those assignments so watch mode doesn't re-apply them
+    for (const t of Plan.handymanZones.concat(Plan.mechClusters, Plan.guardZones, Plan.entertainerPatrols)){
+      if (!t.locked && undone.has(t.staffId)) t.staffId = undefined;
+    }
+    Plan.applied = false;
+    writeStored(parkStore(), "undo", null);
+    refreshStaffList();
+    setLabel("lblKpi", `Status: last Apply undone: ${restored} staff restored${fired ? `, ${fired} new hire${fired === 1 ? "" : "s"} fired` : ""}.`);
+    if (notes.length) ui.showTextInput({title:"Auto Patrol Manager", description:"Undo notes (read-only).", initialValue:notes.join("\n"), callback:()=>{}});
+  }
+
+  function refreshUndo(){
+    const snap = readStored(parkStore(), "undo");
+    setLabel("lblUndo", snap ? `Last Apply: ${snap.date || "?"}, ${(snap.staff || []).length} staff changed, ${(snap.hired || []).length} hired` : "Nothing to undo.");
+    try { getW("btnUndo").isDisabled = !snap; } catch {}
+  }
+
+  // -----------------------------
+  // Staff identity
+  // -----------------------------
+  // Apply can rename staff after their zone ("{role} – {zoneName}") and dress them in one colour per
+  // role or per zone, so the park shows who owns what. Each staff member's own name and colour are kept
+  // in park storage the first time they're changed; Restore names & colours puts them all back.
+  const COLOUR_MODES = ["Keep current", "Per role", "Per zone"];
+  const ROLE_COLOURS = { handyman: 28, mechanic: 7, security: 18 }; // bright red, light blue, yellow
+  const FOOD_COURT_COLOUR = 21; // dark orange, in either mode
+  const ZONE_COLOURS = [6, 14, 26, 9, 30, 19, 3, 12, 24, 8, 29, 15]; // cycled per zone / route
+
+  function routeName(i){
+    const mc = Plan.mechClusters[i];
+    return (mc && mc.name) || `Mechanic route ${i+1}`;
+  }
+
+  function identityName(r){
+    return Settings.staffNamePattern
+      .replace(/\{role\}/g, ROLE_NAMES[r.role])
+      .replace(/\{zoneName\}/g, r.name)
+      .replace(/\{id\}/g, String(r.staff.id))
+      .slice(0, 32);
+  }
+
+  // Uniform colour for a row's staff member; undefined leaves it alone (entertainers wear costumes)
+  function identityColour(r){
+    if (Settings.staffColours === "Keep current" || r.role === "entertainer") return undefined;
+    if (r.target.kind === "foodCourt") return FOOD_COURT_COLOUR;
+    if (Settings.staffColours === "Per role") return ROLE_COLOURS[r.role];
+    return ZONE_COLOURS[r.index % ZONE_COLOURS.length];
+  }
+
+  function setIdentity(r, notes){
+    const name = Settings.renameStaff ? identityName(r) : undefined;
+    const colour = identityColour(r);
+    if (name === undefined && colour === undefined) return;
+    rememberIdentity(r.staff);
+    const who = staffName(r.staff);
+    if (name !== undefined && name !== who && !trySetStaffName(r.staff, name)) notes.push(`Could not rename ${who}.`);
+    if (colour !== undefined && !trySetStaffColour(r.staff, colour)) notes.push(`Could not change the uniform colour of ${who}.`);
+  }
+
+  // The staff member's own name and colour, kept once (later Applies don't overwrite them)
+  function rememberIdentity(s){
+    const kept = readStored(parkStore(), "identity") || {};
+    if (kept[s.id]) return;
+    kept[s.id] = { name: staffName(s), colour: safe(()=>s.colour, undefined) };
+    writeStored(parkStore(), "identity", kept);
+  }
+
+  function restoreIdentities(){
+    const kept = readStored(parkStore(), "identity") || {};
+    let restored = 0, gone = 0;
+    for (const id in kept){
+      const s = findStaffById(Number(id));
+      if (!s){ gone++; continue; }
+      if (staffName(s) !== kept[id].name) trySetStaffName(s, kept[id].name);
+      if (kept[id].colour !== undefined) trySetStaffColour(s, kept[id].colour);
+      restored++;
+    }
+    writeStored(parkStore(), "identity", null);
+    refreshStaffList();
+    setLabel("lblKpi", restored || gone
+      ? `Status: names and colours restored for ${restored} staff${gone ? ` (${gone} have left the park)` : ""}.`
+      : "Status: no staff names or colours to restore.");
+  }
+
+  function editNamePattern(){
+    ui.showTextInput({
+      title: "Staff name pattern",
+      description: "Name for staff on Apply. {role}: Handyman, Mechanic...; {zoneName}: their zone or route; {id}: staff id.",
+      initialValue: Settings.staffNamePattern,
+      maxLength: 64,
+      callback: (text)=>{
+        if (!text || !text.trim()) return;
+        Settings.staffNamePattern = text.trim();
+        setLabel("lblPattern", Settings.staffNamePattern);
+      }
+    });
+  }
+
+  // Rename the zone, court, route or patrol focused on the Overlay tab; renamed staff follow it
+  function renameFocused(){
+    const f = overlayFocusItems()[Overlay.focus];
+    if (!f || !f.target){ setLabel("lblKpi", "Status: pick a zone, court or route under Focus to rename it."); return; }
+    ui.showTextInput({
+      title: "Rename",
+      description: `New name for ${f.name}:`,
+      initialValue: f.name,
+      maxLength: 32,
+      callback: (text)=>{
+        const name = (text || "").trim();
+        if (!name) return;
+        const targets = [f.target];
+        // a food court's cleaning zone carries the court's name
+        if (Plan.foodCourts.indexOf(f.target) >= 0) for (const z of Plan.handymanZones) if (z.kind === "foodCourt" && z.name === f.target.name) targets.push(z);
+        for (const t of targets) t.name = name;
+        if (Settings.renameStaff && Plan.applied) renameAssigned(targets);
+        refreshWindow();
+        if (Plan.built) showStatus();
+      }
+    });
+  }
+
+  // Staff already applied to these targets take the new name now
+  function renameAssigned(targets){
+    const roles = [["handyman", Plan.handymanZones], ["mechanic", Plan.mechClusters], ["security", Plan.guardZones], ["entertainer", Plan.entertainerPatrols]];
+    for (const t of targets){
+      if (t.locked || t.staffId === undefined) continue;
+      const s = findStaffById(t.staffId);
+      const role = roles.find(([, list])=>list.indexOf(t) >= 0);
+      if (!s || !role) continue;
+      const i = role[1].indexOf(t);
+      rememberIdentity(s);
+      trySetStaffName(s, identityName({ role: role[0], staff: s, name: role[0] === "mechanic" ? routeName(i) : t.name }));
+    }
+  }
+
+  // What Apply did, kept as the plan's staff mapping: who now patrols each zone and route
+  function recordAssignments(rows){
+    const lists = { handyman: [Plan.staff.handymen, "zoneIndex"], mechanic: [Plan.staff.mechanics, "clusterIndex"] };
+    for (const r of rows){
+      if (!r.target || !r.staff || r.target.staffId !== r.staff.id || !lists[r.role]) continue;
+      const [list, field] = lists[r.role];
+      for (const p of list) if (p.id === r.staff.id && p[field] !== r.index){ delete p.id; delete p.name; delete p.applied; }
+      let p = list.find(e=>e[field] === r.index);
+      if (!p){ p = { [field]: r.index }; list.push(p); }
+      Object.assign(p, { id: r.staff.id, name: staffName(r.staff), inside: true, distance: 0, applied: true });
+    }
+  }
+
+  // -----------------------------
+  // Staff assignment (travel-minimising)
+  // -----------------------------
+  // Existing staff are matched to zones and mechanic routes with an optimal assignment (Hungarian method)
+  // on the path distance from where each one stands to the target's centre. Standing inside a target
+  // beats any distance; overlap with the staff member's current patrol area breaks ties.
+  const OUTSIDE_COST = 1000;
+
+  // Proposal shown in Preview and followed by Apply: Plan.staff.handymen / .mechanics
+  // Locked zones and routes keep their own staff member.
+  function* proposeStaff(){
+    const zones = Plan.handymanZones, clusters = Plan.mechClusters;
+    const hz = yield* matchTargets(getAllHandymen(), zones);
+    Plan.staff.handymen = zones.map((z,i)=>Object.assign(staffEntry(hz[i]), { zoneIndex:i, tilesCount:z.tiles.size, spawn:z.centroid }));
+    const mc = yield* matchTargets(getAllMechanics(), clusters);
+    Plan.staff.mechanics = clusters.map((c,i)=>{
+      const ex = Plan.mechExits[c.exits[0]];
+      return Object.assign(staffEntry(mc[i]), { clusterIndex:i, exitsCount:c.exits.length, spawn:{ x:ex.x, y:ex.y } });
+    });
+  }
+
+  function* matchTargets(list, targets){
+    const open = [];
+    targets.forEach((t,i)=>{ if (!t.locked) open.push(i); });
+    const matched = yield* matchStaff(unlockedStaff(list), open.map(i=>targets[i]));
+    const out = targets.map(t=>{
+      const s = t.locked ? list.find(x=>x.id === t.staffId) : null;
+      return s ? { staff:s, inside:true, distance:0, locked:true } : null;
+    });
+    open.forEach((i,k)=>{ out[i] = matched[k]; });
+    return out;
+  }
+
+  function staffEntry(m){
+    if (!m) return {};
+    const entry = { id:m.staff.id, name:staffName(m.staff), inside:m.inside, distance:m.distance };
+    if (m.locked) entry.locked = true;
+    return entry;
+  }
+
+  function staffName(s){
+    const role = staffRole(s);
+    return s.name || (role.charAt(0).toUpperCase() + role.slice(1) + " " + s.id);
+  }
+
+  // Staff per target: Preview's proposal while that staff member is still around (and unlocked), the
+  // rest matched now. Locked targets get nobody; Apply leaves them alone.
+  function assignedStaff(proposals, field, targets, list){
+    const picks = targets.map(()=>null);
+    const used = new Set();
+    for (const p of proposals || []){
+      const s = p.id === undefined ? null : list.find(x=>x.id === p.id);
+      const t = targets[p[field]];
+      if (s && t && !t.locked && !used.has(s.id) && picks[p[field]] === null){ picks[p[field]] = s; used.add(s.id); }
+    }
+    const open = [];
+    targets.forEach((t,i)=>{ if (!picks[i] && !t.locked) open.push(i); });
+    const matched = runNow(matchStaff(list.filter(s=>!used.has(s.id)), open.map(i=>targets[i])));
+    open.forEach((i,k)=>{ if (matched[k]) picks[i] = matched[k].staff; });
+    return picks;
+  }
+
+  // Best staff member for each target ({tiles}); [{staff, inside, distance}] or null where staff ran out
+  function* matchStaff(list, targets){
+    if (!list.length || !targets.length) return targets.map(()=>null);
+    const where = list.map(staffNode);
+    const patrols = list.map(readPatrolKeys);
+    const cost = [], info = [];
+    for (const t of targets){
+      const d = yield* bfsSearch(targetCentre(t.tiles));
+      const c = centroidOfTiles(t.tiles);
+      const row = [], irow = [];
+      list.forEach((s,j)=>{
+        const at = where[j];
+        const dj = at.id >= 0 ? d.dist[at.id] : -1;
+        const inside = at.id >= 0 && t.tiles.has(at.id);
+        // off the network or unreachable: straight-line distance, after anyone who can walk there
+        const dist = dj >= 0 ? dj + at.off : -1;
+        const straight = Math.abs(at.x - c.x) + Math.abs(at.y - c.y);
+        row.push((inside ? 0 : OUTSIDE_COST + (dist >= 0 ? dist : OUTSIDE_COST + straight)) - patrolShare(patrols[j], t.tiles));
+        irow.push({ staff:s, inside, distance: inside ? 0 : dist });
+      });
+      cost.push(row); info.push(irow);
+    }
+    return solveAssignment(cost).map((j,i)=>j < 0 ? null : info[i][j]);
+  }
+
+  // The staff member's path node (nearest valid one within a few tiles if they're off the paths);
+  // off = tiles from there to the path, x/y = the tile they stand on
+  function staffNode(s){
+    const x = Math.floor((s.x||0)/32), y = Math.floor((s.y||0)/32);
+    const here = nodeAtHeight(x, y, s.z || 0);
+    if (here !== undefined && Plan.validNodeIds.has(here)) return { id:here, off:0, x, y };
+    for (let r=1; r<=5; r++){
+      for (let dx=-r; dx<=r; dx++){
+        for (const dy of [r - Math.abs(dx), Math.abs(dx) - r]){
+          for (const id of nodesAt(x+dx, y+dy)) if (Plan.validNodeIds.has(id)) return { id, off:r, x, y };
+        }
+      }
+    }
+    return { id:-1, off:0, x, y };
+  }
+
+  // Node of the target nearest its centroid
+  function targetCentre(tiles){
+    const c = centroidOfTiles(tiles);
+    let best = -1, bestD = 1e9;
+    for (const id of tiles){
+      const n = Plan.nodes[id];
+      const d = Math.abs(n.x - c.x) + Math.abs(n.y - c.y);
+      if (d < bestD){ bestD = d; best = id; }
+    }
+    return best;
+  }
+
+  // Tiles "x,y" of a staff member's current patrol area, or null if the build doesn't expose it
+  function readPatrolKeys(staff){
+    const area = safe(()=>staff.patrolArea, null);
+    if (!area) return null;
+    const tiles = safe(()=>area.tiles, null);
+    if (Array.isArray(tiles)) return new Set(tiles.map(t=>key(Math.floor(t.x/32), Math.floor(t.y/32))));
+    return new Set(Object.keys(area).filter(k=>area[k] === true && /^\d+,\d+$/.test(k)));
+  }
+
+  // Share of a target's tiles already in the patrol area, kept below 1 so it only ever breaks ties
+  function patrolShare(keys, tiles){
+    if (!keys || !keys.size || !tiles.size) return 0;
+    let n = 0;
+    for (const id of tiles) if (keys.has(key(Plan.nodes[id].x, Plan.nodes[id].y))) n++;
+    return 0.99 * n / tiles.size;
+  }
+
+  // Minimum-cost assignment of rows to columns; returns row -> column (-1 when rows outnumber columns)
+  function solveAssignment(cost){
+    const rows = cost.length, cols = rows ? cost[0].length : 0;
+    if (!rows || !cols) return cost.map(()=>-1);
+    if (rows <= cols) return hungarian(cost);
+    const byCol = hungarian(cost[0].map((_,j)=>cost.map(r=>r[j])));
+    const out = cost.map(()=>-1);
+    byCol.forEach((i,j)=>{ if (i >= 0) out[i] = j; });
+    return out;
+  }
+
+  // Hungarian method with potentials, O(n^2 m) for an n x m matrix with n <= m
+  function hungarian(a){
+    const n = a.length, m = a[0].length;
+    const u = new Array(n+1).fill(0), v = new Array(m+1).fill(0);
+    const p = new Array(m+1).fill(0), way = new Array(m+1).fill(0);
+    for (let i=1; i<=n; i++){
+      p[0] = i;
+      let j0 = 0;
+      const minv = new Array(m+1).fill(Infinity), used = new Array(m+1).fill(false);
+      do {
+        used[j0] = true;
+        const i0 = p[j0];
+        let delta = Infinity, j1 = 0;
+        for (let j=1; j<=m; j++){
+          if (used[j]) continue;
+          const cur = a[i0-1][j-1] - u[i0] - v[j];
+          if (cur < minv[j]){ minv[j] = cur; way[j] = j0; }
+          if (minv[j] < delta){ delta = minv[j]; j1 = j; }
+        }
+        for (let j=0; j<=m; j++){
+          if (used[j]){ u[p[j]] += delta; v[j] -= delta; }
+          else minv[j] -= delta;
+        }
+        j0 = j1;
+      } while (p[j0] !== 0);
+      do { const j1 = way[j0]; p[j0] = p[j1]; j0 = j1; } while (j0);
+    }
+    const rowTo = new Array(n).fill(-1);
+    for (let j=1; j<=m; j++) if (p[j]) rowTo[p[j]-1] = j-1;
+    return rowTo;
+  }
+
+  // -----------------------------
+  // Staff locks
+  // -----------------------------
+  // Locked staff keep the patrol area and position they have now: the planner takes their tiles out of
+  // the pool before zoning, and Apply, Re-Optimise and watch mode never touch them. The Settings checkbox
+  // locks everyone; single staff are locked from the Staff tab (ids kept in the park).
+  function lockedStaffIds(){
+    const ids = readStored(parkStore(), "lockedStaff");
+    return new Set(Array.isArray(ids) ? ids : []);
+  }
+
+  function isLocked(staff, ids){
+    return !!staff && (Settings.lockAssignments || (ids || lockedStaffIds()).has(staff.id));
+  }
+
+  function unlockedStaff(list){
+    const ids = lockedStaffIds();
+    return list.filter(s=>!isLocked(s, ids));
+  }
+
+  function toggleStaffLock(row){
+    const id = UiState.staffIds[row];
+    if (id === undefined) return;
+    const ids = lockedStaffIds();
+    if (ids.has(id)) ids.delete(id); else ids.add(id);
+    writeStored(parkStore(), "lockedStaff", Array.from(ids));
+    refreshStaffList();
+  }
+
+  // Locked staff in the list, with the valid path nodes of their current patrol area
+  function lockedPatrols(list){
+    const ids = lockedStaffIds();
+    return list.filter(s=>isLocked(s, ids)).map(s=>{
+      const tiles = new Set();
+      for (const k of readPatrolKeys(s) || []){
+        const [x,y] = k.split(",").map(Number);
+        for (const id of nodesAt(x,y)) if (Plan.validNodeIds.has(id)) tiles.add(id);
+      }
+      return { staff:s, tiles };
+    });
+  }
+
+  function refreshStaffList(){
+    const ids = lockedStaffIds();
+    const list = getAllStaff();
+    UiState.staffIds = list.map(s=>s.id);
+    try {
+      getW("lstStaff").items = list.map(s=>{
+        const keys = readPatrolKeys(s);
+        return [staffName(s), staffRole(s), keys ? String(keys.size) : "?", plannedFor(s.id), isLocked(s, ids) ? "Locked" : ""];
+      });
+    } catch {}
+    refreshUndo();
+  }
+
+  // Name of the zone, route or patrol the plan gives this staff member
+  function plannedFor(id){
+    const zi = (Plan.staff.handymen || []).find(p=>p.id === id);
+    if (zi && Plan.handymanZones[zi.zoneIndex]) return Plan.handymanZones[zi.zoneIndex].name;
+    const mi = (Plan.staff.mechanics || []).find(p=>p.id === id);
+    if (mi && Plan.mechClusters[mi.clusterIndex]) return routeName(mi.clusterIndex);
+    const other = Plan.guardZones.concat(Plan.entertainerPatrols).find(z=>z.staffId === id);
+    return other ? other.name : "";
+  }
+
+  // -----------------------------
+  // Staff budget & surplus
+  // -----------------------------
+  // The wage bill is estimated from the staff the park has (default wages where a build doesn't expose
+  // theirs). Hires are paid for role by role in planning order (handymen, mechanics, guards, entertainers):
+  // "Hire within budget" stops at the wage or cash limit and stretches zones over the staff it can pay.
+  const MONEY_UNIT = 10; // game money is in tenths of a currency unit
+  const STAFF_WAGES = { handyman: 50, mechanic: 80, security: 60, entertainer: 55 }; // default monthly wages
+  const BUDGET_KINDS = ["Monthly wages", "Cash reserve"];
+  const SURPLUS_MODES = ["Leave alone", "Fire", "Floaters", "Split biggest zones"];
+  const Budget = { left: Infinity };
+
+  function staffWage(s){
+    const w = safe(()=>s.wage, undefined);
+    return typeof w === "number" ? w / MONEY_UNIT : STAFF_WAGES[staffRole(s)] || 0;
+  }
+
+  function monthlyWages(list){ return list.reduce((a,s)=>a + staffWage(s), 0); }
+
+  // Start a new pass over the money available for hires
+  function resetBudget(){
+    Budget.left = Infinity;
+    if (Settings.staffInsufficient !== "Hire within budget") return;
+    if (Settings.budgetKind === "Cash reserve") Budget.left = safe(()=>park.cash, 0) / MONEY_UNIT - Settings.budgetLimit;
+    else Budget.left = Settings.budgetLimit - monthlyWages(getAllStaff());
+  }
+
+  // How many of `count` wanted hires the settings allow (none unless hiring is on)
+  function affordHires(role, count){
+    if (Settings.staffInsufficient !== "Auto-hire" && Settings.staffInsufficient !== "Hire within budget") return 0;
+    if (!Api.canHireStaff) return 0; // nothing to hire with: don't promise or cost hires
+    let n = 0;
+    while (n < count && Budget.left >= STAFF_WAGES[role]){ Budget.left -= STAFF_WAGES[role]; n++; }
+    return n;
+  }
+
+  // Zones a role can staff: staff on hand plus the hires the budget pays for. Only "Hire within budget"
+  // cuts the count; the shortfall is kept for the warnings.
+  function budgetCap(role, wanted, onHand){
+    if (wanted <= onHand) return wanted;
+    const paid = affordHires(role, wanted - onHand);
+    if (Settings.staffInsufficient !== "Hire within budget") return wanted;
+    if (onHand + paid < wanted) Plan.budgetShort[role] = (Plan.budgetShort[role] || 0) + wanted - onHand - paid;
+    return onHand + paid;
+  }
+
+  // Surplus staff with "Split biggest zones": halve the heaviest zone until each of them has one
+  function* splitBiggest(parts, extra, weightOf){
+    const load = t=>{ if (!weightOf) return t.size; let l = 0; for (const id of t) l += weightOf(id); return l; };
+    for (let i=0; i<extra; i++){
+      let big = -1, bigLoad = 0;
+      parts.forEach((p,j)=>{ const l = p && p.size > 1 ? load(p) : 0; if (l > bigLoad){ big = j; bigLoad = l; } });
+      if (big < 0) break;
+      const halves = (yield* partitionZones(parts[big], 2, weightOf)).filter(h=>h && h.size);
+      if (halves.length < 2) break;
+      parts.splice(big, 1, ...halves);
+    }
+    return parts;
+  }
+
+  // Enabled roles with their targets and whole roster, in planning order
+  function staffTargets(){
+    const out = [];
+    if (Settings.enableHandymen) out.push(["handyman", Plan.handymanZones, getAllHandymen()]);
+    if (Settings.enableMechanics) out.push(["mechanic", Plan.mechClusters, getAllMechanics()]);
+    if (Settings.enableGuards) out.push(["security", Plan.guardZones, getAllGuards()]);
+    if (Settings.enableEntertainers) out.push(["entertainer", Plan.entertainerPatrols, getAllEntertainers()]);
+    return out;
+  }
+
+  // Monthly wage bill now and after Apply: hires added, fired surplus staff taken off
+  function staffBudget(){
+    resetBudget();
+    const out = { before: monthlyWages(getAllStaff()), after: 0, hires: 0, fired: 0, unstaffed: {}, surplus: {} };
+    out.after = out.before;
+    for (const [role, targets, roster] of staffTargets()){
+      const open = targets.filter(t=>!t.locked).length;
+      const staff = unlockedStaff(roster);
+      const hires = affordHires(role, Math.max(0, open - staff.length));
+      out.hires += hires;
+      out.after += hires * STAFF_WAGES[role];
+      if (open > staff.length + hires) out.unstaffed[role] = open - staff.length - hires;
+      const surplus = Math.max(0, staff.length - open);
+      if (!surplus) continue;
+      out.surplus[role] = surplus;
+      if (Settings.surplusStaff === "Fire"){
+        out.fired += surplus;
+        out.after -= surplus * monthlyWages(staff) / staff.length; // the matching decides who; average wage
+      }
+    }
+    out.before = Math.round(out.before);
+    out.after = Math.round(out.after);
+    return out;
+  }
+
+  // -----------------------------
+  // Staff orders
+  // -----------------------------
+  // Orders are bit flags in the game (handymen: sweep 1, water 2, empty bins 4, mow 8; mechanics:
+  // inspect 1, fix 2). Apply sets a handyman's from their zone's type and a mechanic's from their
+  // route, which falls back to the mechanic default unless overridden on the Roles tab.
+  const HANDYMAN_ORDERS = [["Sweep",1],["Water",2],["Bins",4],["Mow",8]];
+  const MECHANIC_ORDERS = [["Inspect",1],["Fix",2]];
+  const ORDER_PROFILES = [["General zones","ordersGeneral"],["Food courts","ordersFoodCourt"],["Garden zones","ordersGarden"]];
+  const SCENERY_CAN_BE_WATERED = 1 << 6; // small scenery object flag
+
+  // Orders for a handyman zone; null for locked zones (never touched)
+  function zoneOrders(z){
+    if (z.locked) return null;
+    if (z.kind === "foodCourt") return Settings.ordersFoodCourt;
+    if (z.kind === "garden") return Settings.ordersGarden;
+    return z.garden ? Settings.ordersGarden : Settings.ordersGeneral;
+  }
+
+  function clusterOrders(mc){
+    if (mc.locked) return null;
+    return typeof mc.orders === "number" ? mc.orders : Settings.ordersMechanic;
+  }
+
+  function ordersText(orders, names){
+    const on = names.filter(o=>orders & o[1]).map(o=>o[0].toLowerCase());
+    return on.length ? on.join(", ") : "no orders";
+  }
+
+  function toggleOrder(profileKey, bit, on){
+    Settings[profileKey] = on ? (Settings[profileKey] | bit) : (Settings[profileKey] & ~bit);
+    refreshGardenKpis(); // garden KPIs follow who waters and mows
+  }
+
+  // The Roles tab edits the mechanic default (first entry) or one route's override
+  function toggleMechanicOrder(bit, on){
+    const mc = Plan.mechClusters[UiState.orderRoutes[UiState.orderRoute]];
+    const cur = mc ? clusterOrders(mc) : Settings.ordersMechanic;
+    const next = on ? (cur | bit) : (cur & ~bit);
+    if (mc) mc.orders = next; else Settings.ordersMechanic = next;
+    if (Plan.built) showStatus();
+  }
+
+  function refreshOrders(){
+    UiState.orderRoutes = [-1];
+    Plan.mechClusters.forEach((mc,i)=>{ if (!mc.locked) UiState.orderRoutes.push(i); });
+    if (UiState.orderRoute >= UiState.orderRoutes.length) UiState.orderRoute = 0;
+    try { getW("ddMechOrders").items = UiState.orderRoutes.map(i=>i < 0 ? "All routes (default)" : routeName(i)); } catch {}
+    setDropdown("ddMechOrders", UiState.orderRoute);
+    const mc = Plan.mechClusters[UiState.orderRoutes[UiState.orderRoute]];
+    const mech = mc ? clusterOrders(mc) : Settings.ordersMechanic;
+    MECHANIC_ORDERS.forEach(([,bit],j)=>setChecked(`chkMo${j}`, mech & bit));
+    ORDER_PROFILES.forEach(([,k],i)=>HANDYMAN_ORDERS.forEach(([,bit],j)=>setChecked(`chkOrd${i}${j}`, !!(Settings[k] & bit))));
+  }
+
+  // Share of a zone's path tiles with planted scenery (flowers, shrubs) on a neighbouring tile
+  function gardenShare(tiles, planted){
+    if (!tiles.size) return 0;
+    let near = 0;
+    for (const id of tiles) if (planted.has(id)) near++;
+    return near / tiles.size;
+  }
+
+  // Scenery a handyman waters: the object's "can be watered" flag, else a name that says it's planted
+  function isGardenScenery(el){
+    if (String(el.type||"") !== "smallScenery") return false;
+    const obj = safe(()=>objectManager.getObject("small_scenery", el.object), null);
+    if (!obj) return false;
+    if (typeof obj.flags === "number" && (obj.flags & SCENERY_CAN_BE_WATERED)) return true;
+    return /flower|plant|shrub|bush|garden/.test(`${obj.identifier || ""} ${obj.name || ""}`.toLowerCase());
+  }
+
+  // Staff helpers (best effort, compatible with older builds). Staff are map entities; the role is in
+  // staffType, as an entity's type is just "staff"
+  function getAllStaff(){
+    return safe(()=>Array.from(map.getAllEntities("staff")), []);
+  }
+
+  function staffRole(s){ return String(s.staffType||s.type||"staff").toLowerCase(); }
+
+  function getStaffOfRole(role){
+    return getAllStaff().filter(s=>staffRole(s) === role);
+  }
+
+  function getAllHandymen(){ return getStaffOfRole("handyman"); }
+  function getAllMechanics(){ return getStaffOfRole("mechanic"); }
+  function getAllGuards(){ return getStaffOfRole("security"); }
+  function getAllEntertainers(){ return getStaffOfRole("entertainer"); }
+
+  function findStaffById(id){
+    return getAllStaff().find(s=>s.id === id) || null;
+  }
+
+  function tryHireStaff(role, count){
+    let hired=0;
+    for (let i=0;i<count;i++){
+      if (!runAction("staffhire", hireArgs(role))) break;
+      hired++;
+    }
+    return hired;
+  }
+
+  // Costume names are lower-case in the API; older builds only take the index via an action
+  function trySetCostume(staff, costume){
+    const want = costume.toLowerCase();
+    try {
+      if ("costume" in staff){ staff.costume = want; return String(staff.costume).toLowerCase() === want; }
+    } catch {}
+    const index = costumeIndex(staff, want);
+    return index >= 0 && runAction("staffsetcostume", { id: staff.id, costume: index });
+  }
+
+  // The action wants the peep animation object's index where the build loads costumes as objects;
+  // before that, the costume's place in availableCostumes (the game's own costume order)
+  function costumeIndex(staff, want){
+    const objects = safe(()=>Array.from(objectManager.getAllObjects("peep_animations")), []);
+    const obj = objects.find(o=>`${o.identifier || ""} ${o.name || ""}`.toLowerCase().indexOf(want) >= 0);
+    if (obj) return obj.index;
+    return safe(()=>Array.from(staff.availableCostumes, c=>String(c).toLowerCase()).indexOf(want), -1);
+  }
+
+  function trySetPatrolArea(staff, tileIdSet){
+    return trySetPatrolTiles(staff, Array.from(tileIdSet, id=>[Plan.nodes[id].x, Plan.nodes[id].y]));
+  }
+
+  // Replaces the patrol area with these [x,y] tiles (none: patrol the whole park)
+  function trySetPatrolTiles(staff, tiles){
     // API varies by build; you might have staff.setPatrol(tileX,tileY,true)
     // or a patrolArea bitmap per staff. We guard everything.
     try {
-      if (staff && typeof staff.clearPatrolArea === "function") staff.clearPatrolArea();
-      for (const id of tileIdSet){
-        const n = Plan.nodes[id];
-        // Common patterns: staff.addPatrolTile(x,y) or staff.setPatrol(x,y, true)
-        if (typeof staff.addPatrolTile === "function") staff.addPatrolTile(n.x, n.y);
-        else if (typeof staff.setPatrol === "function") staff.setPatrol(n.x, n.y, true);
-        else if (staff.patrolArea){
-          // Some builds expose a 2D array or map; we attempt direct set
-          if (!staff.patrolArea[key(n.x,n.y)]) staff.patrolArea[key(n.x,n.y)] = true;
-        } else {
-          // Not supported
-          return false;
-        }
+      const area = staff && staff.patrolArea;
+      if (area && typeof area.add === "function"){
+        // PatrolArea takes a whole list of world coords; build it before clearing so a failure
+        // can't leave the staff member with an empty patrol
+        const coords = tiles.map(([x,y])=>({ x: x*32, y: y*32 }));
+        if (typeof area.clear === "function") area.clear();
+        if (coords.length) area.add(coords);
+        return true;
       }
+      // Common patterns: staff.addPatrolTile(x,y) or staff.setPatrol(x,y, true);
+      // some builds expose a 2D array or map and we attempt a direct set
+      const set = typeof staff.addPatrolTile === "function" ? (x,y)=>staff.addPatrolTile(x, y)
+        : typeof staff.setPatrol === "function" ? (x,y)=>staff.setPatrol(x, y, true)
+        : area ? (x,y)=>{ area[key(x,y)] = true; }
+        : null;
+      if (!set) return false; // not supported: leave the old patrol alone
+      if (typeof staff.clearPatrolArea === "function") staff.clearPatrolArea();
+      for (const [x,y] of tiles) set(x, y);
       return true;
     } catch { return false; }
   }
 
   function tryMoveStaffTo(staff, x, y){
+    if (!staff) return false;
+    if (tryPlaceStaff(staff, {x:x*32+16,y:y*32+16})) return true;
+    // No direct move; pan viewport to help the user place manually
+    viewportPanTo(x,y,0);
+    return false;
+  }
+
+  // World coordinates; Undo passes z as well to put staff back exactly where they stood
+  function tryPlaceStaff(staff, pos){
     try {
-      if (!staff) return false;
-      if (typeof staff.setPosition === "function"){ staff.setPosition({x:x*32+16,y:y*32+16}); return true; }
-      if (typeof staff.moveTo === "function"){ staff.moveTo({x:x*32+16,y:y*32+16}); return true; }
-      // No direct move; pan viewport to help the user place manually
-      viewportPanTo(x,y,0);
-      return false;
+      if (typeof staff.setPosition === "function"){ staff.setPosition(pos); return true; }
+      if (typeof staff.moveTo === "function"){ staff.moveTo(pos); return true; }
+    } catch {}
+    return false;
+  }
+
+  // executeAction hands its result to a callback, not back to the caller. Outside multiplayer the callback
+  // runs before executeAction returns; as a network client it runs later, so this reports false there.
+  function runAction(name, args){
+    let ok = false;
+    try { context.executeAction(name, args, res=>{ ok = !(res && res.error); }); } catch {}
+    return ok;
+  }
+
+  function trySetOrders(staff, orders){
+    try {
+      if ("orders" in staff){ staff.orders = orders; return true; }
     } catch { return false; }
+    return runAction("staffsetorders", { id: staff.id, staffOrders: orders });
+  }
+
+  // Renamed means the name reads back, whichever way it got there
+  function trySetStaffName(staff, name){
+    runAction("staffsetname", { id: staff.id, name });
+    if (safe(()=>staff.name, null) === name) return true;
+    try { staff.name = name; } catch {}
+    return safe(()=>staff.name, null) === name;
+  }
+
+  function trySetStaffColour(staff, colour){
+    try {
+      if ("colour" in staff){ staff.colour = colour; return true; }
+    } catch {}
+    return false;
+  }
+
+  // Fired means gone from the roster, whatever the action reported
+  function tryFireStaff(staff){
+    const id = staff.id;
+    runAction("stafffire", { id });
+    if (!findStaffById(id)) return true;
+    try { if (typeof staff.remove === "function") staff.remove(); } catch {}
+    return !findStaffById(id);
   }
 
 })();